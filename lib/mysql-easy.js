@@ -1,7 +1,13 @@
-var mysql = require('mysql');
+var mysql  = require('mysql');
+var stream = require('stream');
 
 var _private = Symbol();
-var _select = Symbol();
+
+
+const DEFAULT_MAX_PACKET_SIZE = 4 * 1024 * 1024;
+
+// Client flag of mysql protocol
+const CLIENT_FOUND_ROWS = 2;
 
 const ALLOWED_ISOLATION = new Set([
     'REPEATABLE READ',
@@ -10,6 +16,99 @@ const ALLOWED_ISOLATION = new Set([
     'SERIALIZABLE',
 ]);
 
+const AGGREGATES = new Map([
+    ['$count', 'COUNT'],
+    ['$avg',   'AVG'],
+    ['$min',   'MIN'],
+    ['$max',   'MAX'],
+    ['$sum',   'SUM']
+]);
+
+const ARITHMETIC_OPERATORS = new Map([
+    ['$add', '+'],
+    ['$sub', '-'],
+    ['$mul', '*'],
+    ['$div', '/'],
+    ['$mod', '%']
+]);
+
+const MATCH_MODES = new Map([
+    ['natural',   ' IN NATURAL LANGUAGE MODE'],
+    ['boolean',   ' IN BOOLEAN MODE'],
+    ['expansion', ' WITH QUERY EXPANSION']
+]);
+
+const GEOMETRY_OPERATORS = ['$point', '$lineString', '$polygon', '$geoJSON'];
+
+const DISTANCE_OPERATORS = new Map([
+    ['lt',  '<'],
+    ['lte', '<='],
+    ['gt',  '>'],
+    ['gte', '>=']
+]);
+
+// WKB geometry types to GeoJSON types
+const WKB_TYPES = new Map([
+    [1, 'Point'],
+    [2, 'LineString'],
+    [3, 'Polygon'],
+    [4, 'MultiPoint'],
+    [5, 'MultiLineString'],
+    [6, 'MultiPolygon'],
+    [7, 'GeometryCollection']
+]);
+
+const WINDOW_FUNCTIONS = new Map([
+    ['$rowNumber', 'ROW_NUMBER'],
+    ['$rank',      'RANK'],
+    ['$lag',       'LAG'],
+    ['$lead',      'LEAD']
+]);
+
+const EXPRESSION_OPERATORS = new Set([
+    '$raw', '$val', '$field', '$fn', '$concat', '$coalesce', '$case', '$over', '$match',
+    ...GEOMETRY_OPERATORS,
+    ...AGGREGATES.keys(),
+    ...ARITHMETIC_OPERATORS.keys(),
+    ...WINDOW_FUNCTIONS.keys()
+]);
+
+const FUNCTION_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// `column->path` or `column->>path`
+const JSON_COLUMN_PATH = /^(.+?)(->>?)(.+)$/;
+
+// Join condition can be "required", "optional" or "none"
+const JOIN_TYPES = new Map([
+    ['',              { sql: 'JOIN',               condition: 'required' }],
+    ['inner',         { sql: 'INNER JOIN',         condition: 'required' }],
+    ['left',          { sql: 'LEFT JOIN',          condition: 'required' }],
+    ['left outer',    { sql: 'LEFT JOIN',          condition: 'required' }],
+    ['right',         { sql: 'RIGHT JOIN',         condition: 'required' }],
+    ['right outer',   { sql: 'RIGHT JOIN',         condition: 'required' }],
+    ['cross',         { sql: 'CROSS JOIN',         condition: 'optional' }],
+    ['straight',      { sql: 'STRAIGHT_JOIN',      condition: 'optional' }],
+    ['natural',       { sql: 'NATURAL JOIN',       condition: 'none' }],
+    ['natural left',  { sql: 'NATURAL LEFT JOIN',  condition: 'none' }],
+    ['natural right', { sql: 'NATURAL RIGHT JOIN', condition: 'none' }]
+]);
+
+// Connection for transactions in dry-run mode, queries of transaction are not passed here
+const DRY_RUN_CONNECTION = {
+    query:            (sqlQuery, callback) => callback(null),
+    beginTransaction: callback => callback(null),
+    commit:           callback => callback(null),
+    rollback:         callback => callback(null)
+};
+
+const RETRYABLE_ERRORS = new Set([
+    'ER_LOCK_DEADLOCK',
+    'ER_LOCK_WAIT_TIMEOUT'
+]);
+
+const DEFAULT_TRANSACTION_RETRIES = 3;
+const DEFAULT_RETRY_DELAY         = 50;
+
 class MySQLEasy {
     /**
      * Create connection.
@@ -41,11 +140,13 @@ class MySQLEasy {
     /**
      * Format SQL query.
      * @param {string} sqlQuery
-     * @param {Array} [params]
+     * @param {Array|Object} [params] - positional params or named params for placeholders ":name" and "::name"
      * @returns {string}
      */
     static format(sqlQuery, params) {
-        return mysql.format(sqlQuery, params);
+        var prepared = prepareQuery(sqlQuery, params);
+
+        return mysql.format(prepared.sql, prepared.values);
     }
 
     /**
@@ -77,9 +178,18 @@ class MySQLEasy {
             throw new Error('MySQLEasy can\'t be created by "new", use "createConnection" or "createPool" instead');
         }
 
-        this._plainObjects = false;
-        this._profiling    = null;
-        this._conn         = conn;
+        this._plainObjects  = false;
+        this._maxPacketSize = DEFAULT_MAX_PACKET_SIZE;
+        this._profiling     = null;
+        this._dryRun        = null;
+        this._typeCast      = null;
+        this._naming        = null;
+        this._conn          = conn;
+
+        this._namingExceptions = new Set();
+
+        this._connectionLock    = Promise.resolve();
+        this._transactionActive = false;
     }
 
     setOption(name, value) {
@@ -87,9 +197,45 @@ class MySQLEasy {
             case 'make-plain-objects':
                 this._plainObjects = Boolean(value);
                 break;
+            case 'max-allowed-packet':
+                if (typeof value !== 'number' || value <= 0) {
+                    throw new Error('Option "max-allowed-packet" must be a positive number');
+                }
+                this._maxPacketSize = value;
+                break;
+            case 'dry-run':
+                if (value && typeof value !== 'function') {
+                    throw new Error('Option "dry-run" must be a logger function or null');
+                }
+                this._dryRun = value ? value.bind(null) : null;
+                break;
+            case 'decode-geometry':
+                this._typeCast = value ? decodeGeometry : null;
+                break;
+            case 'naming':
+                if (value && value !== 'camel') {
+                    throw new Error('Option "naming" must be "camel" or null');
+                }
+                this._naming = value || null;
+                break;
+            case 'naming-exceptions':
+                if (!Array.isArray(value)) {
+                    throw new Error('Option "naming-exceptions" must be an array');
+                }
+                this._namingExceptions = new Set(value);
+                break;
         }
     }
 
+    /**
+     * SQL compiler with same builder methods as MySQLEasy, but methods return
+     * compiled query `{ sql, values }` instead of execution.
+     * @returns {SqlCompiler}
+     */
+    get sql() {
+        return new SqlCompiler(this);
+    }
+
     /**
      * Enable profiling with callback.
      * @param {Function} callback
@@ -107,22 +253,38 @@ class MySQLEasy {
 
     /**
      * Make simple query.
-     * @param {string} sqlQuery
-     * @param {Array} [params]
+     * @param {string|SqlFragment} sqlQuery
+     * @param {Array|Object} [params] - positional params or named params for placeholders ":name" and "::name"
      * @returns {Promise}
      */
     query(sqlQuery, params) {
+        return this._query(prepareQuery(sqlQuery, params));
+    }
+
+    _query(prepared, queryOptions) {
+        if (this._dryRun) {
+            this._dryRun({ query: mysql.format(prepared.sql, prepared.values) });
+
+            return Promise.resolve(this._processResults(getDryRunResult(prepared.sql), queryOptions));
+        }
+
+        var connectionError = this._getConnectionError();
+
+        if (connectionError) {
+            return Promise.reject(connectionError);
+        }
+
         if (this._profiling) {
             var start = Date.now();
 
             return new Promise((resolve, reject) => {
-                this._conn.query(sqlQuery, params, (err, res) => {
+                this._conn.query(this._getQueryOptions(prepared.sql, queryOptions), prepared.values, (err, res) => {
                     var time = Date.now() - start;
 
                     setTimeout(() => {
                         if (this._profiling) {
                             this._profiling({
-                                query:  mysql.format(sqlQuery, params),
+                                query:  mysql.format(prepared.sql, prepared.values),
                                 time:   time,
                                 error:  err,
                                 result: res
@@ -133,42 +295,110 @@ class MySQLEasy {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(this._processResults(res));
+                        resolve(this._processResults(res, queryOptions));
                     }
                 });
             });
         } else {
             return new Promise((resolve, reject) => {
-                this._conn.query(sqlQuery, params, (err, res) => {
+                this._conn.query(this._getQueryOptions(prepared.sql, queryOptions), prepared.values, (err, res) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(this._processResults(res));
+                        resolve(this._processResults(res, queryOptions));
                     }
                 });
             });
         }
     }
 
+    /**
+     * Make query with streaming of result rows, stream respects backpressure.
+     * Returned stream can be used as async iterator.
+     * @param {string} sqlQuery
+     * @param {Array|Object} [params] - same as in method "query"
+     * @param {Object} [options]
+     * @param {number} [options.highWaterMark=16] - count of rows buffered before pause of receiving
+     * @returns {Readable}
+     */
+    queryStream(sqlQuery, params, options) {
+        var prepared = prepareQuery(sqlQuery, params);
+        var opts     = options || {};
+        var output   = new stream.Transform({
+            objectMode:    true,
+            highWaterMark: opts.highWaterMark,
+            transform:     (row, encoding, callback) => callback(null, this._processRow(row))
+        });
+
+        if (this._dryRun) {
+            this._dryRun({ query: mysql.format(prepared.sql, prepared.values) });
+
+            return output.end();
+        }
+
+        var connectionError = this._getConnectionError();
+
+        if (connectionError) {
+            output.destroy(connectionError);
+            return output;
+        }
+
+        var start  = Date.now();
+        var ended  = false;
+        var source = this._conn.query(this._getQueryOptions(prepared.sql), prepared.values).stream({
+            highWaterMark: opts.highWaterMark
+        });
+
+        var profile = err => {
+            if (this._profiling) {
+                this._profiling({
+                    query:  mysql.format(prepared.sql, prepared.values),
+                    time:   Date.now() - start,
+                    error:  err,
+                    result: null
+                });
+            }
+        };
+
+        source.on('error', err => {
+            ended = true;
+            profile(err);
+            output.destroy(err);
+        });
+
+        source.on('end', () => {
+            ended = true;
+            profile(null);
+        });
+
+        output.on('close', () => {
+            if (!ended) {
+                // Read the rest of rows, otherwise connection stays paused
+                source.unpipe(output);
+                source.resume();
+            }
+        });
+
+        return source.pipe(output);
+    }
+
     /**
      * Truncate the table.
      * @param {string} tableName
      * @returns {Promise}
      */
     truncate(tableName) {
-        return this.query('TRUNCATE ??', tableName);
+        return this._execute(this.sql.truncate(tableName));
     }
 
     /**
-     * Create transaction (allowed only for connection type "Pool").
+     * Create transaction. For single connection transactions are queued:
+     * next transaction begins after previous one is finished,
+     * queries out of transaction are rejected while transaction is active.
      * @params {string} [isolationLevel]
      * @returns {Promise<Transaction>}
      */
     createTransaction(isolationLevel) {
-        if (this._conn.constructor.name !== 'Pool') {
-            throw new Error('Connection type must be a pool');
-        }
-
         var _isoLevel;
 
         if (isolationLevel) {
@@ -179,100 +409,121 @@ class MySQLEasy {
             }
         }
 
-        return new Promise((resolve, reject) => {
-            this._conn.getConnection((err, conn) => {
-                var that = this;
+        if (this._dryRun) {
+            return beginTransaction(DRY_RUN_CONNECTION, _isoLevel).then(() => {
+                return this._createTransaction(DRY_RUN_CONNECTION, null);
+            });
 
-                if (err) {
-                    reject(err);
-                } else {
-                    if (_isoLevel) {
-                        conn.query('SET TRANSACTION ISOLATION LEVEL ' + _isoLevel, err => {
-                            if (err) {
-                                conn.destroy();
-                                reject(err);
-                            } else {
-                                next();
-                            }
-                        });
+        } else if (isPool(this._conn)) {
+            return new Promise((resolve, reject) => {
+                this._conn.getConnection((err, conn) => {
+                    if (err) {
+                        reject(err);
                     } else {
-                        next();
+                        resolve(conn);
                     }
-
-                    function next() {
-                        conn.beginTransaction(err => {
-                            if (err) {
-                                conn.destroy();
-                                reject(err);
-                            } else {
-                                var transaction = new Transaction(_private, conn);
-                                transaction._profiling = that._profiling;
-
-                                resolve(transaction);
-                            }
-                        });
-                    }
-                }
+                });
+            }).then(conn => {
+                return beginTransaction(conn, _isoLevel).then(() => {
+                    return this._createTransaction(conn, isBroken => {
+                        if (isBroken) {
+                            conn.destroy();
+                        } else {
+                            conn.release();
+                        }
+                    });
+                }, err => {
+                    conn.destroy();
+                    throw err;
+                });
             });
-        });
-    }
-
-    [_select](table, fields, join, where, group, order, limit, offset, isDistinct) {
-        if (!table) {
-            throw new Error('Parameter "table" missing');
-        }
 
-        if (offset != null && typeof offset !== 'number') {
-            throw new Error('Parameter "offset" must be a number');
-        }
-        if (limit != null && typeof limit !== 'number') {
-            throw new Error('Parameter "limit" must be a number');
+        } else {
+            return this._lockConnection().then(unlock => {
+                var release = () => {
+                    this._transactionActive = false;
+                    unlock();
+                };
+
+                this._transactionActive = true;
+
+                return beginTransaction(this._conn, _isoLevel).then(() => {
+                    return this._createTransaction(this._conn, release);
+                }, err => {
+                    release();
+                    throw err;
+                });
+            });
         }
+    }
 
-        var sqlGroup, sqlOrder, sqlJoin;
-        var sqlFields = getFields(fields);
-        var sqlWhere  = getWhere(where);
+    _createTransaction(conn, release) {
+        var transaction = new Transaction(_private, conn);
+        this._copyOptions(transaction);
+        transaction._release = release;
 
-        if (group) {
-            sqlGroup = getGroup(group);
-        }
-        if (order) {
-            sqlOrder = getOrder(order);
-        }
-        if (join) {
-            sqlJoin = getJoins(join);
-        }
+        return transaction;
+    }
 
-        var queryParts = [
-            'SELECT' + (isDistinct ? ' DISTINCT' : ''),
-            sqlFields,
-            'FROM',
-            getTable(table)
-        ];
+    /**
+     * Wait until previous transaction on single connection is finished.
+     * @returns {Promise<Function>} unlock function
+     */
+    _lockConnection() {
+        var unlock;
+        var prevLock = this._connectionLock;
 
-        if (sqlJoin) {
-            queryParts.push(sqlJoin);
-        }
+        this._connectionLock = prevLock.then(() => new Promise(resolve => {
+            unlock = resolve;
+        }));
 
-        if (sqlWhere) {
-            queryParts.push('WHERE', sqlWhere);
-        }
+        return prevLock.then(() => unlock);
+    }
 
-        if (sqlGroup) {
-            queryParts.push('GROUP BY', sqlGroup);
-        }
+    /**
+     * Run callback in transaction. Transaction will be committed when callback is resolved
+     * and rolled back when callback is rejected. On deadlock or lock wait timeout
+     * whole callback will be retried.
+     * @param {function(Transaction): Promise} callback
+     * @param {Object} [options]
+     * @param {string} [options.isolationLevel]
+     * @param {number} [options.retries=3]
+     * @param {number} [options.retryDelay=50] - delay before first retry in ms, doubled on every next retry
+     * @returns {Promise} result of callback
+     */
+    transaction(callback, options) {
+        var opts       = options || {};
+        // Deadlock rolls back whole outer transaction, so retry of savepoint is useless
+        var retries    = this instanceof Transaction ? 0 : opts.retries != null ? opts.retries : DEFAULT_TRANSACTION_RETRIES;
+        var retryDelay = opts.retryDelay != null ? opts.retryDelay : DEFAULT_RETRY_DELAY;
+        var attempt    = 0;
+
+        var run = () => {
+            // Errors of createTransaction must reject, not throw
+            return Promise.resolve().then(() => this.createTransaction(opts.isolationLevel)).then(transaction => {
+                return Promise.resolve(transaction).then(callback).then(result => {
+                    return transaction.commit().then(() => result);
+                }, err => {
+                    // Error of callback is more important than error of rollback
+                    // (e.g. deadlock removes savepoints, so rollback to savepoint fails)
+                    var rethrow = () => {
+                        throw err;
+                    };
+
+                    return transaction.rollback().then(rethrow, rethrow);
+                });
+            }).catch(err => {
+                if (attempt < retries && err && RETRYABLE_ERRORS.has(err.code)) {
+                    attempt++;
 
-        if (sqlOrder) {
-            queryParts.push('ORDER BY', sqlOrder);
-        }
+                    return delay(retryDelay * Math.pow(2, attempt - 1)).then(run);
+                }
 
-        if (limit) {
-            queryParts.push('LIMIT', offset ? `${offset},${limit}` : limit);
-        } else if (offset) {
-            throw new Error('Can\'t set offset without limit');
-        }
+                throw err;
+            });
+        };
 
-        return this.query(queryParts.join(' '));
+        return run();
     }
 
     /**
@@ -288,18 +539,97 @@ class MySQLEasy {
      * @returns {Promise}
      */
     select(params) {
-        checkParams(params);
-        return this[_select](
-            params.table,
-            params.fields,
-            params.join,
-            params.where,
-            params.group || params.groupBy,
-            params.order || params.orderBy,
-            params.limit,
-            params.offset,
-            params.distinct
-        );
+        return this._execute(this.sql.select(params));
+    }
+
+    /**
+     * Select rows by where filter with streaming.
+     * @param {Object} params - same as in method "select"
+     * @param {Object} [options] - same as in method "queryStream"
+     * @returns {Readable}
+     */
+    selectStream(params, options) {
+        var compiled = this.sql.select(params);
+
+        if (compiled.nest) {
+            throw new Error('Parameter "nest" can be used only in "select", "selectOne" and "selectExactOne"');
+        }
+
+        return this.queryStream(compiled.sql, compiled.values, options);
+    }
+
+    /**
+     * Select rows of few selects combined by UNION.
+     * @param {Array<Object>} parts - params of method "select"
+     * @param {Object} [options]
+     * @param {boolean} [options.all] - use UNION ALL (keep duplicates)
+     * @param {Object|Array|string} [options.order] - order of whole result (by result columns)
+     * @param {number} [options.limit]
+     * @param {number} [options.offset]
+     * @returns {Promise}
+     */
+    union(parts, options) {
+        return this._execute(this.sql.union(parts, options));
+    }
+
+    /**
+     * Same as method "union" but with streaming.
+     * @param {Array<Object>} parts
+     * @param {Object} [options] - options of method "union" and "queryStream"
+     * @returns {Readable}
+     */
+    unionStream(parts, options) {
+        var compiled = this.sql.union(parts, options);
+
+        return this.queryStream(compiled.sql, compiled.values, options);
+    }
+
+    /**
+     * Select rows by keyset (cursor) pagination.
+     * @param {Object} params - same as in method "select" (except "offset")
+     * @param {Object} params.order - object form is required, order columns must be unique and not null
+     * @param {number} params.limit
+     * @param {string} [params.after] - cursor of previous page
+     * @returns {Promise<{items: Array, nextCursor: string|null, hasMore: boolean}>}
+     */
+    paginate(params) {
+        var compiled = this.sql.paginate(params);
+        var columns  = Object.keys(params.order || params.orderBy);
+        var limit    = params.limit;
+
+        return this._execute(compiled).then(rows => {
+            var hasMore = rows.length > limit;
+            var items   = hasMore ? rows.slice(0, limit) : rows;
+
+            return {
+                items:      items,
+                nextCursor: hasMore ? encodeCursor(getCursorValues(items[items.length - 1], columns, params.fields)) : null,
+                hasMore:    hasMore
+            };
+        });
+    }
+
+    /**
+     * Select page of rows with total count of rows.
+     * @param {Object} params - same as in method "select" (except "limit" and "offset")
+     * @param {number} [params.page=1]
+     * @param {number} params.perPage
+     * @returns {Promise<{items: Array, total: number, page: number, pages: number}>}
+     */
+    selectPage(params) {
+        var queries = this.sql.selectPage(params);
+        var page    = params.page == null ? 1 : params.page;
+
+        return Promise.all(queries.map(compiled => this._execute(compiled))).then(results => {
+            var total = results[1][0] ? Number(results[1][0].total) : 0;
+
+            return {
+                items: results[0],
+                total: total,
+                page:  page,
+                pages: Math.ceil(total / params.perPage)
+            };
+        });
     }
 
     /**
@@ -312,18 +642,7 @@ class MySQLEasy {
      * @returns {Promise}
      */
     selectOne(params) {
-        checkParams(params, true);
-        return this[_select](
-            params.table,
-            params.fields,
-            params.join,
-            params.where,
-            params.group || params.groupBy,
-            params.order || params.orderBy,
-            1,
-            params.offset,
-            params.distinct
-        ).then(function(items) {
+        return this._execute(this.sql.selectOne(params)).then(function(items) {
             return items[0] || null;
         });
     }
@@ -338,18 +657,7 @@ class MySQLEasy {
      * @returns {Promise}
      */
     selectExactOne(params) {
-        checkParams(params, true);
-        return this[_select](
-            params.table,
-            params.fields,
-            params.join,
-            params.where,
-            params.group || params.groupBy,
-            params.order || params.orderBy,
-            1,
-            params.offset,
-            params.distinct
-        ).then(function(items) {
+        return this._execute(this.sql.selectExactOne(params)).then(function(items) {
             if (items.length === 0) {
                 throw new Error('Record not found');
             }
@@ -366,7 +674,68 @@ class MySQLEasy {
      * @returns {Promise}
      */
     insert(tableName, objectData, flags) {
-        return this.query(`INSERT${flags && flags.ignore ? ' IGNORE': ''} INTO ?? SET ${getSetValues(objectData)}`, [tableName]);
+        return this._execute(this.sql.insert(tableName, objectData, flags));
+    }
+
+    /**
+     * Insert new record or update existing one (INSERT ... ON DUPLICATE KEY UPDATE).
+     * Result has additional fields "inserted" and "updated", with driver flag FOUND_ROWS (enabled by default)
+     * not changed existing row can't be distinguished from inserted one, so "inserted" is null in this case.
+     * @param {string} tableName
+     * @param {Object} objectData
+     * @param {Object} [options]
+     * @param {Array|Object} [options.update] - columns or values for update (by default all inserting columns)
+     * @param {string} [options.alias] - row alias for referencing inserting values (MySQL 8.0.19+)
+     * @returns {Promise}
+     */
+    upsert(tableName, objectData, options) {
+        return this._execute(this.sql.upsert(tableName, objectData, options)).then(res => {
+            // With FOUND_ROWS affectedRows is 1 for both inserted and not changed rows
+            if (res.affectedRows === 1 && hasFoundRowsFlag(this._conn)) {
+                res.inserted = null;
+            } else {
+                res.inserted = res.affectedRows === 1;
+            }
+
+            res.updated = res.affectedRows === 2;
+
+            return res;
+        });
+    }
+
+    /**
+     * Insert many records by multi-row statements,
+     * rows are split into few queries if statement exceeds "max-allowed-packet" option.
+     * @param {string} tableName
+     * @param {Array<Object>} rows
+     * @param {Object} [flags]
+     * @returns {Promise<{affectedRows: number, insertId: number}>}
+     */
+    insertMany(tableName, rows, flags) {
+        var queries = this.sql.insertMany(tableName, rows, flags);
+
+        var result = {
+            affectedRows: 0,
+            insertId:     0
+        };
+
+        if (queries.length === 0) {
+            return Promise.resolve(result);
+        }
+
+        var next = index => {
+            return this._execute(queries[index]).then(res => {
+                result.affectedRows += res.affectedRows;
+
+                if (!result.insertId) {
+                    result.insertId = res.insertId;
+                }
+
+                return index + 1 < queries.length ? next(index + 1) : result;
+            });
+        };
+
+        return next(0);
     }
 
     /**
@@ -378,9 +747,7 @@ class MySQLEasy {
      * @returns {Promise}
      */
     update(tableName, objectData, where, flags) {
-        var sqlWhere = getWhere(where);
-
-        return this.query(`UPDATE${flags && flags.ignore ? ' IGNORE' : ''} ?? SET ` + getSetValues(objectData, true) + (sqlWhere ? ' WHERE ' + sqlWhere : ''), [tableName]);
+        return this._execute(this.sql.update(tableName, objectData, where, flags));
     }
 
     /**
@@ -390,9 +757,7 @@ class MySQLEasy {
      * @returns {Promise}
      */
     deleteFrom(tableName, where) {
-        var sqlWhere = getWhere(where, true);
-
-        return this.query('DELETE FROM ' + iden(tableName) + ' WHERE ' + sqlWhere);
+        return this._execute(this.sql.deleteFrom(tableName, where));
     }
 
     /**
@@ -405,6 +770,15 @@ class MySQLEasy {
         return this.deleteFrom(tableName, where);
     }
 
+    /**
+     * Create chainable query builder.
+     * @param {string|Object} table
+     * @returns {QueryBuilder}
+     */
+    from(table) {
+        return new QueryBuilder(this, { table: table });
+    }
+
     /**
      * Get underlying mysql pool or connection.
      * @returns {Connection|Pool}
@@ -427,22 +801,95 @@ class MySQLEasy {
         this.end();
     }
 
-    _processResults(res) {
-        if (this._plainObjects && Array.isArray(res)) {
-            return res.map(resObject => {
-                var obj = {};
+    _execute(compiled) {
+        if (compiled.nest) {
+            return this._query(compiled, { nestTables: true }).then(rows => nestRows(rows, compiled.nest));
+        }
 
-                for (var propName in resObject) {
-                    obj[propName] = resObject[propName];
-                }
+        return this.query(compiled.sql, compiled.values);
+    }
 
-                return obj;
-            });
+    /**
+     * @protected
+     * @returns {Error|null} reason why connection can't be used for queries
+     */
+    _getConnectionError() {
+        if (this._transactionActive) {
+            return new Error('Connection is busy by transaction, use transaction object for queries');
+        }
+
+        return null;
+    }
+
+    _copyOptions(target) {
+        target._plainObjects  = this._plainObjects;
+        target._maxPacketSize = this._maxPacketSize;
+        target._profiling     = this._profiling;
+        target._dryRun        = this._dryRun;
+        target._typeCast      = this._typeCast;
+        target._naming        = this._naming;
+
+        target._namingExceptions = this._namingExceptions;
+    }
+
+    _getQueryOptions(sqlQuery, queryOptions) {
+        if (!this._typeCast && !queryOptions) {
+            return sqlQuery;
+        }
+
+        var options = Object.assign({ sql: sqlQuery }, queryOptions);
+
+        if (this._typeCast) {
+            options.typeCast = this._typeCast;
+        }
+
+        return options;
+    }
+
+    _processResults(res, queryOptions) {
+        if ((this._plainObjects || this._naming) && Array.isArray(res)) {
+            if (queryOptions && queryOptions.nestTables) {
+                return res.map(resObject => this._processNestedRow(resObject));
+            }
+
+            return res.map(resObject => this._processRow(resObject));
         } else {
             return res;
         }
     }
 
+    _processNestedRow(resObject) {
+        var obj = {};
+
+        for (var tableName of Object.keys(resObject)) {
+            obj[tableName] = this._processRow(resObject[tableName]);
+        }
+
+        return obj;
+    }
+
+    _processRow(resObject) {
+        if (this._naming) {
+            var row = {};
+
+            for (var columnName of Object.keys(resObject)) {
+                row[toPropertyName(columnName, this._namingExceptions)] = resObject[columnName];
+            }
+
+            return row;
+        } else if (this._plainObjects) {
+            var obj = {};
+
+            for (var propName in resObject) {
+                obj[propName] = resObject[propName];
+            }
+
+            return obj;
+        } else {
+            return resObject;
+        }
+    }
+
 }
 
 class Transaction extends MySQLEasy {
@@ -451,9 +898,52 @@ class Transaction extends MySQLEasy {
         super(...args);
 
         this.status = 'pending';
+
+        this._release          = null;
+        this._savepoint        = null;
+        this._parent           = null;
+        this._savepointCounter = 0;
+    }
+
+    /**
+     * Create nested transaction by SAVEPOINT.
+     * @param {string} [isolationLevel] - not allowed inside of transaction
+     * @returns {Promise<Transaction>}
+     */
+    createTransaction(isolationLevel) {
+        if (isolationLevel) {
+            throw new Error('Isolation level can\'t be changed inside of transaction');
+        }
+
+        var connectionError = this._getConnectionError();
+
+        if (connectionError) {
+            return Promise.reject(connectionError);
+        }
+
+        var root = this;
+
+        while (root._parent) {
+            root = root._parent;
+        }
+
+        var savepoint = 'sp_' + (++root._savepointCounter);
+
+        return this.query('SAVEPOINT ' + savepoint).then(() => {
+            var transaction = new Transaction(_private, this._conn);
+            this._copyOptions(transaction);
+            transaction._savepoint = savepoint;
+            transaction._parent    = this;
+
+            return transaction;
+        });
     }
 
     commit() {
+        if (this._savepoint) {
+            return this._finishSavepoint(true);
+        }
+
         return new Promise((resolve, reject) => {
             if (this._conn) {
                 var conn = this._conn;
@@ -466,17 +956,13 @@ class Transaction extends MySQLEasy {
                         this.status = 'rejected';
 
                         conn.rollback(err => {
-                            if (err) {
-                                conn.destroy();
-                            } else {
-                                conn.release();
-                            }
+                            this._releaseConnection(Boolean(err));
                         });
 
                         reject(err);
                     } else {
                         this.status = 'committed';
-                        conn.release();
+                        this._releaseConnection(false);
 
                         resolve();
                     }
@@ -490,6 +976,10 @@ class Transaction extends MySQLEasy {
     }
 
     rollback() {
+        if (this._savepoint) {
+            return this._finishSavepoint(false);
+        }
+
         return new Promise(resolve => {
             if (this._conn) {
                 this.status = 'rejected';
@@ -497,11 +987,7 @@ class Transaction extends MySQLEasy {
                 this._conn  = null;
 
                 conn.rollback(err => {
-                    if (err) {
-                        conn.destroy();
-                    } else {
-                        conn.release();
-                    }
+                    this._releaseConnection(Boolean(err));
                     resolve();
                 });
             } else {
@@ -510,297 +996,1903 @@ class Transaction extends MySQLEasy {
         });
     }
 
-}
+    /**
+     * Transaction can't be used if it or any of parent transactions is finished
+     * (connection of finished root transaction can be already used by another request).
+     * @protected
+     * @returns {Error|null}
+     */
+    _getConnectionError() {
+        for (var transaction = this; transaction; transaction = transaction._parent) {
+            if (!transaction._conn) {
+                return new Error('Transaction is already finished');
+            }
+        }
 
-MySQLEasy.prototype.format   = MySQLEasy.format;
-MySQLEasy.prototype.escape   = MySQLEasy.escape;
-MySQLEasy.prototype.escapeId = MySQLEasy.escapeId;
+        return null;
+    }
 
-function iden(title) {
+    _releaseConnection(isBroken) {
+        if (this._release) {
+            this._release(isBroken);
+        }
+    }
+
+    _finishSavepoint(isCommit) {
+        return new Promise((resolve, reject) => {
+            if (this._conn) {
+                var conn   = this._conn;
+                this._conn = null;
+
+                if (this._parent._getConnectionError()) {
+                    this.status = 'rejected';
+
+                    if (isCommit) {
+                        reject(new Error('Parent transaction is already finished'));
+                    } else {
+                        resolve();
+                    }
+                    return;
+                }
+
+                this.status = isCommit ? 'committing' : 'rejected';
+
+                conn.query(`${isCommit ? 'RELEASE SAVEPOINT' : 'ROLLBACK TO SAVEPOINT'} ${this._savepoint}`, err => {
+                    if (err) {
+                        this.status = 'rejected';
+                        reject(err);
+                    } else {
+                        if (isCommit) {
+                            this.status = 'committed';
+                        }
+                        resolve();
+                    }
+                });
+            } else if (isCommit && this.status === 'rejected') {
+                reject(new Error('Already rejected'));
+            } else {
+                resolve();
+            }
+        });
+    }
+
+}
+
+/**
+ * Fragment of SQL created by tag "sql", it can be used everywhere raw SQL string is accepted.
+ */
+class SqlFragment {
+
+    /**
+     * @protected
+     * @param {string} text
+     */
+    constructor(text) {
+        this.text = text;
+    }
+
+    toString() {
+        return this.text;
+    }
+
+    toSqlString() {
+        return this.text;
+    }
+
+}
+
+/**
+ * Compiler of builder methods, every method returns `{ sql, values }` (or array of them
+ * if method makes few queries) without execution.
+ */
+class SqlCompiler {
+
+    /**
+     * @protected
+     * @param {MySQLEasy} db
+     */
+    constructor(db) {
+        this._db = db;
+    }
+
+    /**
+     * Run compilation with context of db naming.
+     * @private
+     * @param {function(CompileContext): *} compile
+     * @returns {*}
+     */
+    _compile(compile) {
+        return compile({
+            exceptions: this._db._naming ? this._db._namingExceptions : null,
+            aliases:    null
+        });
+    }
+
+    select(params) {
+        return this._compile(ctx => {
+            checkParams(params);
+            return getNestedSelect(ctx, params);
+        });
+    }
+
+    selectOne(params) {
+        checkParams(params, true);
+
+        if (params.nest && params.nest.many) {
+            throw new Error('Parameter "nest.many" can\'t be used with selectOne');
+        }
+
+        return this._compile(ctx => getNestedSelect(ctx, Object.assign({}, params, { limit: 1 })));
+    }
+
+    selectExactOne(params) {
+        return this.selectOne(params);
+    }
+
+    union(parts, options) {
+        return this._compile(ctx => compiledQuery(getUnion(ctx, parts, options || {})));
+    }
+
+    paginate(params) {
+        var selectParams = Object.assign({}, params);
+        var after        = selectParams.after;
+        var order        = selectParams.order || selectParams.orderBy;
+        var limit        = selectParams.limit;
+
+        delete selectParams.after;
+        checkParams(selectParams);
+
+        if (!isPlainObject(order)) {
+            throw new Error('Parameter "order" must be an object for pagination');
+        }
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('Parameter "limit" must be a positive integer');
+        }
+        if (selectParams.offset != null) {
+            throw new Error('Parameter "offset" can\'t be used with pagination');
+        }
+
+        checkCursorFields(Object.keys(order), selectParams.fields);
+
+        selectParams.limit = limit + 1;
+
+        return this._compile(ctx => {
+            if (after) {
+                var columns   = Object.keys(order);
+                var sqlKeyset = getKeysetWhere(ctx, order, columns, decodeCursor(after, columns.length));
+                var sqlWhere  = getWhere(ctx, selectParams.where);
+
+                selectParams.where = sqlWhere ? `(${sqlWhere}) AND ${sqlKeyset}` : sqlKeyset;
+            }
+
+            return compiledQuery(getSelect(ctx, selectParams));
+        });
+    }
+
+    /**
+     * @returns {Array<{sql: string, values: Array}>} page query and count query
+     */
+    selectPage(params) {
+        var selectParams = Object.assign({}, params);
+        var page         = selectParams.page == null ? 1 : selectParams.page;
+        var perPage      = selectParams.perPage;
+
+        delete selectParams.page;
+        delete selectParams.perPage;
+        checkParams(selectParams);
+
+        if (!Number.isInteger(page) || page < 1) {
+            throw new Error('Parameter "page" must be a positive integer');
+        }
+        if (!Number.isInteger(perPage) || perPage < 1) {
+            throw new Error('Parameter "perPage" must be a positive integer');
+        }
+        if (selectParams.limit != null || selectParams.offset != null) {
+            throw new Error('Parameters "limit" and "offset" can\'t be used with "perPage"');
+        }
+
+        return this._compile(ctx => [
+            compiledQuery(getSelect(ctx, Object.assign({}, selectParams, {
+                limit:  perPage,
+                offset: (page - 1) * perPage
+            }))),
+            compiledQuery(getCount(ctx, selectParams))
+        ]);
+    }
+
+    insert(tableName, objectData, flags) {
+        return this._compile(ctx => {
+            var sqlOnDuplicate = getOnDuplicate(ctx, flags, Object.keys(objectData));
+
+            return compiledQuery(`INSERT${flags && flags.ignore ? ' IGNORE': ''} INTO ?? SET ${getSetValues(ctx, objectData)}${sqlOnDuplicate}`, [tableName]);
+        });
+    }
+
+    upsert(tableName, objectData, options) {
+        var opts = options || {};
+
+        return this.insert(tableName, objectData, {
+            onDuplicate: opts.update || true,
+            alias:       opts.alias
+        });
+    }
+
+    /**
+     * @returns {Array<{sql: string, values: Array}>} query for every chunk of rows
+     */
+    insertMany(tableName, rows, flags) {
+        if (!Array.isArray(rows)) {
+            throw new Error('Parameter "rows" must be an array');
+        }
+
+        if (rows.length === 0) {
+            return [];
+        }
+
+        return this._compile(ctx => {
+            var columns        = getColumns(rows);
+            var sqlInsert      = `INSERT${flags && flags.ignore ? ' IGNORE' : ''} INTO ${iden(tableName)} (${columns.map(column => getColumn(ctx, column)).join(',')}) VALUES `;
+            var sqlOnDuplicate = getOnDuplicate(ctx, flags, columns);
+            var chunks         = splitByPacketSize(sqlInsert, sqlOnDuplicate, rows.map(row => getRowValues(ctx, row, columns)), this._db._maxPacketSize);
+
+            return chunks.map(chunk => compiledQuery(sqlInsert + chunk + sqlOnDuplicate));
+        });
+    }
+
+    update(tableName, objectData, where, flags) {
+        return this._compile(ctx => {
+            var sqlWhere = getWhere(ctx, where);
+
+            return compiledQuery(`UPDATE${flags && flags.ignore ? ' IGNORE' : ''} ?? SET ` + getSetValues(ctx, objectData, true) + (sqlWhere ? ' WHERE ' + sqlWhere : ''), [tableName]);
+        });
+    }
+
+    deleteFrom(tableName, where) {
+        return this._compile(ctx => {
+            var sqlWhere = getWhere(ctx, where, true);
+
+            return compiledQuery('DELETE FROM ' + iden(tableName) + ' WHERE ' + sqlWhere);
+        });
+    }
+
+    ['delete'](tableName, where) {
+        return this.deleteFrom(tableName, where);
+    }
+
+    truncate(tableName) {
+        return compiledQuery('TRUNCATE ??', [tableName]);
+    }
+
+}
+
+/**
+ * Immutable chainable query builder, every method returns new builder.
+ * Builder can be awaited directly (same as call of "select").
+ */
+class QueryBuilder {
+
+    /**
+     * @protected
+     * @param {MySQLEasy} db
+     * @param {Object} params - params of method "select"
+     */
+    constructor(db, params) {
+        this._db     = db;
+        this._params = params;
+    }
+
+    /**
+     * @param {Object|Array|string} fields
+     * @returns {QueryBuilder}
+     */
+    fields(fields) {
+        return this._extend({ fields: fields });
+    }
+
+    /**
+     * @param {boolean} [isDistinct=true]
+     * @returns {QueryBuilder}
+     */
+    distinct(isDistinct) {
+        return this._extend({ distinct: isDistinct !== false });
+    }
+
+    /**
+     * Add join (or few joins), joins are accumulated.
+     * @param {Object|Array|string} join
+     * @returns {QueryBuilder}
+     */
+    join(join) {
+        return this._extend({ join: [].concat(this._params.join || [], join) });
+    }
+
+    /**
+     * Replace where condition.
+     * @param {Object|string} where
+     * @returns {QueryBuilder}
+     */
+    where(where) {
+        return this._extend({ where: where });
+    }
+
+    /**
+     * Add where condition by AND.
+     * @param {Object|string} where
+     * @returns {QueryBuilder}
+     */
+    andWhere(where) {
+        return this._extend({ where: combineWhere('$and', this._params.where, where) });
+    }
+
+    /**
+     * Add where condition by OR.
+     * @param {Object|string} where
+     * @returns {QueryBuilder}
+     */
+    orWhere(where) {
+        return this._extend({ where: combineWhere('$or', this._params.where, where) });
+    }
+
+    /**
+     * @param {Array|string} group
+     * @returns {QueryBuilder}
+     */
+    groupBy(group) {
+        return this._extend({ group: group });
+    }
+
+    /**
+     * @param {Object|string} having
+     * @returns {QueryBuilder}
+     */
+    having(having) {
+        return this._extend({ having: having });
+    }
+
+    /**
+     * Add order, object orders are merged, array orders are concatenated (object is added as item),
+     * raw order (string or sql fragment) replaces previous one.
+     * @param {Object|Array|string|SqlFragment} order
+     * @returns {QueryBuilder}
+     */
+    orderBy(order) {
+        var prevOrder = this._params.order;
+
+        if (isPlainObject(prevOrder) && isPlainObject(order)) {
+            return this._extend({ order: Object.assign({}, prevOrder, order) });
+        }
+
+        var isList = value => Array.isArray(value) || isPlainObject(value);
+
+        if (isList(prevOrder) && isList(order)) {
+            return this._extend({ order: [].concat(prevOrder, order) });
+        }
+
+        return this._extend({ order: order });
+    }
+
+    /**
+     * @param {boolean|Object} nest
+     * @returns {QueryBuilder}
+     */
+    nest(nest) {
+        return this._extend({ nest: nest });
+    }
+
+    /**
+     * @param {number} limit
+     * @returns {QueryBuilder}
+     */
+    limit(limit) {
+        return this._extend({ limit: limit });
+    }
+
+    /**
+     * @param {number} offset
+     * @returns {QueryBuilder}
+     */
+    offset(offset) {
+        return this._extend({ offset: offset });
+    }
+
+    /**
+     * @param {Object|Array|string} [fields]
+     * @returns {Promise}
+     */
+    select(fields) {
+        return this._db.select(fields ? this.fields(fields)._params : this._params);
+    }
+
+    /**
+     * @returns {Promise}
+     */
+    selectOne() {
+        return this._db.selectOne(this._params);
+    }
+
+    /**
+     * @returns {Promise}
+     */
+    selectExactOne() {
+        return this._db.selectExactOne(this._params);
+    }
+
+    /**
+     * @param {Object} [options]
+     * @returns {Readable}
+     */
+    selectStream(options) {
+        return this._db.selectStream(this._params, options);
+    }
+
+    /**
+     * Update rows by where condition of builder (other params of builder are not allowed).
+     * @param {Object} objectData
+     * @param {Object} [flags]
+     * @returns {Promise}
+     */
+    update(objectData, flags) {
+        this._checkModifyParams('update');
+
+        return this._db.update(this._params.table, objectData, this._params.where, flags);
+    }
+
+    /**
+     * Delete rows by where condition of builder (other params of builder are not allowed).
+     * @returns {Promise}
+     */
+    deleteFrom() {
+        this._checkModifyParams('delete');
+
+        return this._db.deleteFrom(this._params.table, this._params.where);
+    }
+
+    /**
+     * Delete rows by where condition of builder.
+     * @returns {Promise}
+     */
+    ['delete']() {
+        return this.deleteFrom();
+    }
+
+    /**
+     * Compile select query without execution.
+     * @returns {{sql: string, values: Array}}
+     */
+    toSQL() {
+        return this._db.sql.select(this._params);
+    }
+
+    then(onFulfilled, onRejected) {
+        return new Promise(resolve => resolve(this.select())).then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this.then(null, onRejected);
+    }
+
+    _extend(params) {
+        return new QueryBuilder(this._db, Object.assign({}, this._params, params));
+    }
+
+    /**
+     * Update and delete use only table and where, so other params must not be lost silently.
+     * @param {string} method
+     */
+    _checkModifyParams(method) {
+        var names = Object.keys(this._params).filter(name => name !== 'table' && name !== 'where' && this._params[name] !== undefined);
+
+        if (names.length) {
+            throw new Error(`Params ${names.map(name => `"${name}"`).join(', ')} of query builder can't be used with ${method}`);
+        }
+    }
+
+}
+
+MySQLEasy.sql = sql;
+
+MySQLEasy.prototype.format   = MySQLEasy.format;
+MySQLEasy.prototype.escape   = MySQLEasy.escape;
+MySQLEasy.prototype.escapeId = MySQLEasy.escapeId;
+
+function getDryRunResult(sqlQuery) {
+    if (/^[\s(]*(SELECT|WITH|SHOW|DESCRIBE|DESC|EXPLAIN)\b/i.test(sqlQuery)) {
+        return [];
+    }
+
+    return {
+        fieldCount:   0,
+        affectedRows: 0,
+        insertId:     0,
+        changedRows:  0,
+        warningCount: 0
+    };
+}
+
+// Quoted strings, identifiers and comments are skipped, named placeholders are ":name" and "::name"
+const QUERY_TOKENS = /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`(?:[^`]|``)*`|\/\*[\s\S]*?\*\/|--\s[^\n]*|#[^\n]*|(::?)([A-Za-z_]\w*)|(\?)/g;
+
+/**
+ * Replace named placeholders by positional ones if params is an object
+ * and query contains named placeholders.
+ * @param {string} sqlQuery
+ * @param {Array|Object} [params]
+ * @returns {{sql: string, values: Array|Object}}
+ */
+function prepareQuery(sqlQuery, params) {
+    if (sqlQuery instanceof SqlFragment) {
+        return prepareQuery(sqlQuery.text, params);
+    }
+
+    if (typeof sqlQuery !== 'string' || !params || typeof params !== 'object' || Array.isArray(params) ||
+        Object.getPrototypeOf(params) !== Object.prototype && Object.getPrototypeOf(params) !== null) {
+        return { sql: sqlQuery, values: params };
+    }
+
+    var values       = [];
+    var usedNames    = new Set();
+    var isPositional = false;
+
+    var sqlPrepared = sqlQuery.replace(QUERY_TOKENS, (token, colons, name, question) => {
+        if (question) {
+            isPositional = true;
+        } else if (name) {
+            if (!Object.prototype.hasOwnProperty.call(params, name)) {
+                throw new Error(`Missing value for placeholder "${colons}${name}"`);
+            }
+
+            usedNames.add(name);
+            values.push(params[name]);
+
+            return colons === '::' ? '??' : '?';
+        }
+
+        return token;
+    });
+
+    if (usedNames.size === 0) {
+        // Object is passed as single positional value (like "SET ?")
+        return { sql: sqlQuery, values: params };
+    }
+
+    if (isPositional) {
+        throw new Error('Named and positional placeholders can\'t be mixed');
+    }
+
+    var unusedNames = Object.keys(params).filter(name => !usedNames.has(name));
+
+    if (unusedNames.length) {
+        throw new Error(`Unused named params: ${unusedNames.map(name => `"${name}"`).join(', ')}`);
+    }
+
+    return compiledQuery(sqlPrepared, values);
+}
+
+function compiledQuery(sqlQuery, values) {
+    return {
+        sql:    sqlQuery,
+        values: values || []
+    };
+}
+
+/**
+ * Compile select, rows of select with "nest" param are grouped by tables (see nestRows).
+ * @param {CompileContext} ctx
+ * @param {Object} params
+ * @returns {{sql: string, values: Array, nest: (boolean|Object|undefined)}}
+ */
+function getNestedSelect(ctx, params) {
+    var compiled = compiledQuery(getSelect(ctx, Object.assign({}, params, { nest: null })));
+
+    if (params.nest) {
+        if (params.nest !== true && (typeof params.nest.root !== 'string' || typeof params.nest.key !== 'string')) {
+            throw new Error('Parameter "nest" must be true or object with "root" and "key"');
+        }
+
+        compiled.nest = params.nest;
+    }
+
+    return compiled;
+}
+
+/**
+ * Group rows of "nestTables" query `{ table1: {...}, table2: {...} }` into root objects by key,
+ * tables from "many" are collected into arrays (without duplicates by their keys), other tables are
+ * nested objects, columns without table (expressions) are merged into root object.
+ * @param {Array<Object>} rows
+ * @param {boolean|Object} nest - `true` or `{ root: 'user', key: 'id', many: { orders: 'id' } }`
+ * @returns {Array<Object>}
+ */
+function nestRows(rows, nest) {
+    if (nest === true) {
+        return rows;
+    }
+
+    var many    = nest.many || {};
+    var items   = new Map();
+    var results = [];
+
+    for (var row of rows) {
+        var rootId = row[nest.root][nest.key];
+        var entry  = items.get(rootId);
+
+        if (!entry) {
+            entry = { item: Object.assign({}, row[nest.root]), seen: new Map() };
+
+            for (var manyAlias in many) {
+                if (many.hasOwnProperty(manyAlias)) {
+                    entry.item[manyAlias] = [];
+                    entry.seen.set(manyAlias, new Set());
+                }
+            }
+
+            items.set(rootId, entry);
+            results.push(entry.item);
+        }
+
+        for (var alias in row) {
+            if (!row.hasOwnProperty(alias) || alias === nest.root) {
+                continue;
+            }
+
+            var child = row[alias];
+
+            if (alias === '') {
+                Object.assign(entry.item, child);
+
+            } else if (entry.seen.has(alias)) {
+                var childId = child[many[alias]];
+
+                if (childId != null && !entry.seen.get(alias).has(childId)) {
+                    entry.seen.get(alias).add(childId);
+                    entry.item[alias].push(child);
+                }
+
+            } else {
+                // Not matched row of left join has only nulls
+                entry.item[alias] = Object.keys(child).every(key => child[key] === null) ? null : child;
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Check client flag FOUND_ROWS of driver connection or pool, it's enabled by default.
+ * @param {Connection|Pool} conn
+ * @returns {boolean}
+ */
+function hasFoundRowsFlag(conn) {
+    var config = conn.config && (conn.config.connectionConfig || conn.config);
+
+    if (!config || typeof config.clientFlags !== 'number') {
+        return true;
+    }
+
+    return (config.clientFlags & CLIENT_FOUND_ROWS) !== 0;
+}
+
+function isPool(conn) {
+    // Pool, PoolCluster and PoolNamespace, but not PoolConnection
+    return typeof conn.getConnection === 'function';
+}
+
+function beginTransaction(conn, isolationLevel) {
+    return new Promise((resolve, reject) => {
+        var begin = () => {
+            conn.beginTransaction(err => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        };
+
+        if (isolationLevel) {
+            conn.query('SET TRANSACTION ISOLATION LEVEL ' + isolationLevel, err => {
+                if (err) {
+                    reject(err);
+                } else {
+                    begin();
+                }
+            });
+        } else {
+            begin();
+        }
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function iden(title) {
     return mysql.escapeId(title);
 }
 
-function val(value) {
-    return mysql.escape(value);
-}
+function val(value) {
+    if (value instanceof SqlFragment) {
+        return value.text;
+    }
+
+    return mysql.escape(value);
+}
+
+/**
+ * Escape column name, `column->path` and `column->>path` (unquoted) are paths in JSON column.
+ * @param {CompileContext} ctx
+ * @param {string} name
+ * @returns {string}
+ */
+function getColumn(ctx, name) {
+    var match = typeof name === 'string' ? JSON_COLUMN_PATH.exec(name) : null;
+
+    if (!match) {
+        return iden(toColumnName(ctx, name));
+    }
+
+    return `${iden(toColumnName(ctx, match[1]))}${match[2]}${val(getJsonPath(match[3]))}`;
+}
+
+/**
+ * Context of SQL compilation.
+ * @typedef {Object} CompileContext
+ * @property {Set<string>|null} exceptions - naming exceptions, null if naming is not used
+ * @property {Set<string>|null} aliases - field aliases of current query, they are not converted by naming
+ */
+
+/**
+ * Convert property name (last part of `table.column`) to column name by naming of context.
+ * @param {CompileContext} ctx
+ * @param {string} name
+ * @returns {string}
+ */
+function toColumnName(ctx, name) {
+    if (!ctx.exceptions || typeof name !== 'string') {
+        return name;
+    }
+
+    var dotIndex   = name.lastIndexOf('.');
+    var columnName = name.slice(dotIndex + 1);
+
+    if (ctx.exceptions.has(columnName) || ctx.aliases && ctx.aliases.has(name)) {
+        return name;
+    }
+
+    return name.slice(0, dotIndex + 1) + columnName.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase());
+}
+
+/**
+ * Field aliases of object form of "fields", they are not converted by naming in having and order.
+ * @param {Object|Array|string} [fields]
+ * @returns {Set|null}
+ */
+function getFieldAliases(fields) {
+    return isPlainObject(fields) ? new Set(Object.keys(fields)) : null;
+}
+
+/**
+ * Context for compilation of having, order and window (subqueries get context without aliases).
+ * @param {CompileContext} ctx
+ * @param {Set|null} aliases - field aliases of current query
+ * @returns {CompileContext}
+ */
+function withAliases(ctx, aliases) {
+    return { exceptions: ctx.exceptions, aliases: aliases };
+}
+
+/**
+ * @param {string} columnName
+ * @param {Set} exceptions
+ * @returns {string}
+ */
+function toPropertyName(columnName, exceptions) {
+    if (exceptions.has(columnName)) {
+        return columnName;
+    }
+
+    return columnName.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+function getJsonPath(path) {
+    return path[0] === '$' ? path : `$.${path}`;
+}
+
+function isPlainObject(value) {
+    if (value == null || typeof value !== 'object') {
+        return false;
+    }
+
+    var proto = Object.getPrototypeOf(value);
+
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Arrays and plain objects without operators ($-keys) are written to JSON columns as is.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isJsonDocument(value) {
+    return Array.isArray(value) || isPlainObject(value) && !Object.keys(value).some(key => key[0] === '$');
+}
+
+/**
+ * Serialize value for JSON column, result is SQL string literal.
+ * @param {*} value
+ * @returns {string}
+ */
+function getJsonValue(value) {
+    return val(JSON.stringify(value));
+}
+
+function isRaw(value) {
+    return typeof value === 'string' || value instanceof SqlFragment;
+}
+
+/**
+ * Tag for template literals, interpolated values are escaped
+ * (arrays become lists, fragments are inserted as is).
+ * @example sql`SELECT * FROM ${sql.id(table)} WHERE id IN (${ids})`
+ * @returns {SqlFragment}
+ */
+function sql(strings) {
+    var text = strings[0];
+
+    for (var i = 1; i < strings.length; i++) {
+        text += formatSqlValue(arguments[i]) + strings[i];
+    }
+
+    return new SqlFragment(text);
+}
+
+/**
+ * @param {string} id
+ * @returns {SqlFragment} escaped identifier
+ */
+sql.id = function(id) {
+    return new SqlFragment(iden(id));
+};
+
+/**
+ * @param {string} text
+ * @returns {SqlFragment} raw SQL without escaping
+ */
+sql.raw = function(text) {
+    return new SqlFragment(String(text));
+};
+
+/**
+ * @param {Array} values - fragments or values
+ * @param {string} [separator=', ']
+ * @returns {SqlFragment}
+ */
+sql.join = function(values, separator) {
+    return new SqlFragment(values.map(formatSqlValue).join(separator == null ? ', ' : separator));
+};
+
+function formatSqlValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => Array.isArray(item) ? `(${formatSqlValue(item)})` : formatSqlValue(item)).join(', ');
+    }
+
+    return val(value);
+}
+
+function getSelect(ctx, params) {
+    var table  = params.table;
+    var group  = params.group || params.groupBy;
+    var order  = params.order || params.orderBy;
+    var limit  = params.limit;
+    var offset = params.offset;
+
+    if (!table) {
+        throw new Error('Parameter "table" missing');
+    }
+
+    if (params.nest) {
+        throw new Error('Parameter "nest" can be used only in "select", "selectOne" and "selectExactOne"');
+    }
+
+    checkLimit(limit, offset);
+
+    var sqlGroup, sqlOrder, sqlJoin;
+    var sqlFields = getFields(ctx, params.fields);
+    var sqlWhere  = getWhere(ctx, params.where);
+    var aliasCtx  = withAliases(ctx, getFieldAliases(params.fields));
+    var sqlHaving = getWhere(aliasCtx, params.having);
+
+    if (group) {
+        sqlGroup = getGroup(ctx, group);
+    }
+    if (order) {
+        sqlOrder = getOrder(aliasCtx, order);
+    }
+    if (params.join) {
+        sqlJoin = getJoins(ctx, params.join);
+    }
+
+    var queryParts = [];
+
+    if (params.with) {
+        queryParts.push(getWith(ctx, params.with, params.recursive));
+    }
+
+    queryParts.push(
+        'SELECT' + (params.distinct ? ' DISTINCT' : ''),
+        sqlFields,
+        'FROM',
+        getTable(ctx, table)
+    );
+
+    if (sqlJoin) {
+        queryParts.push(sqlJoin);
+    }
+
+    if (sqlWhere) {
+        queryParts.push('WHERE', sqlWhere);
+    }
+
+    if (sqlGroup) {
+        queryParts.push('GROUP BY', sqlGroup);
+    }
+
+    if (sqlHaving) {
+        queryParts.push('HAVING', sqlHaving);
+    }
+
+    if (params.window) {
+        queryParts.push('WINDOW', getWindows(aliasCtx, params.window));
+    }
+
+    if (sqlOrder) {
+        queryParts.push('ORDER BY', sqlOrder);
+    }
+
+    if (limit) {
+        queryParts.push('LIMIT', offset ? `${offset},${limit}` : limit);
+    } else if (offset) {
+        throw new Error('Can\'t set offset without limit');
+    }
+
+    return queryParts.join(' ');
+}
+
+/**
+ * Compile common table expressions `{ name: body }`, body can be raw SQL, params of select,
+ * `{ union: [...params of select], all }` or `{ columns: [...], select: {...} }` (columns also can be used with "union").
+ * @param {CompileContext} ctx
+ * @param {Object} ctes
+ * @param {boolean} [isRecursive]
+ * @returns {string}
+ */
+function getWith(ctx, ctes, isRecursive) {
+    var sqlCtes = [];
+
+    for (var name in ctes) {
+        if (ctes.hasOwnProperty(name)) {
+            var cte     = ctes[name];
+            var columns = !isRaw(cte) && cte.columns ? ` (${cte.columns.map(column => getColumn(ctx, column)).join(', ')})` : '';
+
+            sqlCtes.push(`${iden(name)}${columns} AS (${getCteBody(ctx, cte)})`);
+        }
+    }
+
+    if (sqlCtes.length === 0) {
+        throw new Error('Parameter "with" must contain at least one table');
+    }
+
+    return (isRecursive ? 'WITH RECURSIVE ' : 'WITH ') + sqlCtes.join(', ');
+}
+
+function getCteBody(ctx, cte) {
+    if (isRaw(cte)) {
+        return String(cte);
+    } else if (cte.union) {
+        // Parts of recursive table can't be wrapped in parentheses
+        return cte.union.map(part => {
+            checkParams(part);
+            return getSelect(ctx, part);
+        }).join(cte.all ? ' UNION ALL ' : ' UNION ');
+    } else if (cte.select) {
+        checkParams(cte.select);
+        return getSelect(ctx, cte.select);
+    }
+
+    checkParams(cte);
+    return getSelect(ctx, cte);
+}
+
+function getTable(ctx, table) {
+    if (typeof table === 'object') {
+        for (var propName in table) {
+            if (table.hasOwnProperty(propName)) {
+                var source = table[propName];
+
+                return `${isSubquery(source) ? getSubquery(ctx, source) : iden(source)} AS ${iden(propName)}`;
+            }
+        }
+    } else {
+        return iden(table);
+    }
+}
+
+function getFields(ctx, fields) {
+    if (fields === null) {
+        throw new Error('Parameter "fields" must be not null');
+
+    } else if (fields === undefined) {
+        return '*';
+
+    } else {
+        var type = typeof fields;
+
+        if (isRaw(fields)) {
+            return String(fields);
+
+        } else if (Array.isArray(fields)) {
+            return fields.map(field => getExpression(ctx, field, true)).join(',');
+
+        } else if (type === 'object') {
+            var sqlFields = [];
+            for (var fieldName in fields) {
+                if (!fields.hasOwnProperty(fieldName)) {
+                    continue;
+                }
+
+                var value = fields[fieldName];
+
+                if (isSubquery(value)) {
+                    sqlFields.push(`${getSubquery(ctx, value)} AS ${iden(fieldName)}`);
+
+                } else if (typeof value === 'object') {
+                    if (!isExpression(value)) {
+                        throw new Error('Bad field description');
+                    }
+
+                    sqlFields.push(`${getExpression(ctx, value, true)} AS ${iden(fieldName)}`);
+
+                } else {
+                    sqlFields.push(`${getColumn(ctx, fields[fieldName])} AS ${iden(fieldName)}`);
+                }
+            }
+            return sqlFields.join(',');
+
+        } else {
+            throw new Error('Invalid arguments');
+        }
+    }
+}
+
+function getJoins(ctx, joins) {
+    if (Array.isArray(joins)) {
+        return joins.map(join => getJoin(ctx, join)).join(' ');
+    } else {
+        return getJoin(ctx, joins);
+    }
+}
+
+function getJoin(ctx, join) {
+    if (isRaw(join)) {
+        return String(join);
+    }
+
+    var type     = join.type ? String(join.type).trim().toLowerCase().replace(/\s+/g, ' ') : '';
+    var joinType = JOIN_TYPES.get(type);
+
+    if (type === 'full' || type === 'full outer') {
+        throw new Error('FULL JOIN is not supported by MySQL, use "union" of LEFT and RIGHT joins');
+    }
+
+    if (!joinType) {
+        throw new Error(`Unknown join type "${join.type}"`);
+    }
+
+    if (join.on && join.using) {
+        throw new Error('Join can\'t have both "on" and "using"');
+    }
+
+    var joinParts = [joinType.sql, getTable(ctx, join.table)];
+
+    if (join.on) {
+        joinParts.push('ON', getWhere(ctx, join.on, true, true));
+    } else if (join.using) {
+        joinParts.push(`USING (${[].concat(join.using).map(column => getColumn(ctx, column)).join(', ')})`);
+    }
+
+    if (joinType.condition === 'required' && !join.on && !join.using) {
+        throw new Error('Join has not field "on" or "using"');
+    }
+    if (joinType.condition === 'none' && (join.on || join.using)) {
+        throw new Error(`${joinType.sql} can't have "on" or "using"`);
+    }
+
+    return joinParts.join(' ');
+}
+
+function getSetValues(ctx, data, isUpdate) {
+    var fields = [];
+
+    for (var fieldName in data) {
+        if (data.hasOwnProperty(fieldName)) {
+            fields.push(getColumn(ctx, fieldName) + '=' + getSetValue(ctx, data[fieldName], isUpdate, fieldName));
+        }
+    }
+
+    return fields.join(',');
+}
+
+function getSetValue(ctx, value, isUpdate, fieldName) {
+    if (isJsonDocument(value)) {
+        return getJsonValue(value);
+    }
+
+    if (value) {
+        if (value.$raw) {
+            return String(value.$raw);
+        } else if (value.$field && isUpdate) {
+            return getColumn(ctx, value.$field);
+        } else if (value.$values && isUpdate) {
+            return `VALUES(${getColumn(ctx, value.$values)})`;
+        } else if (value.$json !== undefined) {
+            return getJsonValue(value.$json);
+        } else if (value.$jsonSet || value.$jsonRemove) {
+            return getJsonModification(ctx, value, fieldName);
+        } else if (isExpression(value)) {
+            return getExpression(ctx, value);
+        }
+    }
+
+    return val(value);
+}
+
+/**
+ * Compile geometry value: `$point`, `$lineString`, `$polygon` or `$geoJSON` with optional `$srid`.
+ * @param {Object} expr
+ * @returns {string}
+ */
+function getGeometry(expr) {
+    var srid = expr.$srid !== undefined ? getSrid(expr.$srid) : null;
+
+    if (expr.$geoJSON !== undefined) {
+        var geoJSON = typeof expr.$geoJSON === 'string' ? expr.$geoJSON : JSON.stringify(expr.$geoJSON);
+
+        return `ST_GeomFromGeoJSON(${val(geoJSON)}${srid !== null ? `, 1, ${srid}` : ''})`;
+    }
+
+    var wkt;
+
+    if (expr.$point !== undefined) {
+        var point = Array.isArray(expr.$point) ? expr.$point : [expr.$point.x, expr.$point.y];
+
+        if (srid === null) {
+            return `POINT(${point.map(getCoordinate).join(',')})`;
+        }
+
+        wkt = `POINT(${getWktPoint(point)})`;
+
+    } else if (expr.$lineString !== undefined) {
+        wkt = `LINESTRING(${getWktPoints(expr.$lineString)})`;
+
+    } else {
+        // Polygon without holes can be passed as one ring
+        var rings = typeof expr.$polygon[0][0] === 'number' ? [expr.$polygon] : expr.$polygon;
+
+        wkt = `POLYGON(${rings.map(ring => `(${getWktPoints(ring)})`).join(',')})`;
+    }
+
+    return `ST_GeomFromText(${val(wkt)}${srid !== null ? `, ${srid}` : ''})`;
+}
+
+/**
+ * Argument of geometry where operators: array `[x, y]` is a point (with optional SRID),
+ * otherwise it is a geometry value (`{ $point, $srid }` etc.) or an expression.
+ * @param {CompileContext} ctx
+ * @param {Array|Object} arg
+ * @param {number} [srid]
+ * @returns {string}
+ */
+function getGeometryArgument(ctx, arg, srid) {
+    if (Array.isArray(arg)) {
+        return getGeometry(srid !== undefined ? { $point: arg, $srid: srid } : { $point: arg });
+    }
+
+    if (srid !== undefined) {
+        throw new Error('Parameter "srid" can be used only with array point, use "$srid" of geometry value');
+    }
+
+    return getExpression(ctx, arg);
+}
+
+function getWktPoints(points) {
+    return points.map(getWktPoint).join(',');
+}
+
+function getWktPoint(point) {
+    return point.map(getCoordinate).join(' ');
+}
+
+function getCoordinate(value) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        throw new Error(`Invalid coordinate "${value}"`);
+    }
+
+    return String(value);
+}
+
+function getSrid(srid) {
+    if (!Number.isInteger(srid) || srid < 0) {
+        throw new Error(`Invalid SRID "${srid}"`);
+    }
+
+    return String(srid);
+}
+
+/**
+ * Type cast for driver, decodes geometry columns (SRID + WKB) to GeoJSON.
+ * @param {Object} field
+ * @param {Function} next
+ * @returns {*}
+ */
+function decodeGeometry(field, next) {
+    if (field.type !== 'GEOMETRY') {
+        return next();
+    }
+
+    var buffer = field.buffer();
+
+    if (buffer === null) {
+        return null;
+    }
+
+    // First 4 bytes are SRID
+    return readWkb({ buffer: buffer, offset: 4 });
+}
+
+function readWkb(reader) {
+    var isLittleEndian = reader.buffer.readUInt8(reader.offset) === 1;
+
+    reader.offset += 1;
+
+    var readUInt32 = () => {
+        var value = isLittleEndian ? reader.buffer.readUInt32LE(reader.offset) : reader.buffer.readUInt32BE(reader.offset);
+
+        reader.offset += 4;
+        return value;
+    };
+
+    var readDouble = () => {
+        var value = isLittleEndian ? reader.buffer.readDoubleLE(reader.offset) : reader.buffer.readDoubleBE(reader.offset);
+
+        reader.offset += 8;
+        return value;
+    };
+
+    var readList     = readItem => Array.from({ length: readUInt32() }, readItem);
+    var readPoint    = () => [readDouble(), readDouble()];
+    var readPoints   = () => readList(readPoint);
+    var readGeometry = () => readWkb(reader);
+
+    var type = WKB_TYPES.get(readUInt32());
+
+    switch (type) {
+        case 'Point':
+            return { type: type, coordinates: readPoint() };
+        case 'LineString':
+            return { type: type, coordinates: readPoints() };
+        case 'Polygon':
+            return { type: type, coordinates: readList(readPoints) };
+        case 'MultiPoint':
+        case 'MultiLineString':
+        case 'MultiPolygon':
+            return { type: type, coordinates: readList(readGeometry).map(geometry => geometry.coordinates) };
+        case 'GeometryCollection':
+            return { type: type, geometries: readList(readGeometry) };
+        default:
+            throw new Error('Unknown geometry type');
+    }
+}
+
+function getJsonModification(ctx, value, fieldName) {
+    var args = [getColumn(ctx, fieldName)];
+
+    if (value.$jsonSet) {
+        for (var path in value.$jsonSet) {
+            if (value.$jsonSet.hasOwnProperty(path)) {
+                var pathValue = value.$jsonSet[path];
+                var sqlValue  = isJsonDocument(pathValue) ? `CAST(${getJsonValue(pathValue)} AS JSON)` : getExpression(ctx, pathValue);
+
+                args.push(val(getJsonPath(path)), sqlValue);
+            }
+        }
+
+        return `JSON_SET(${args.join(', ')})`;
+    }
+
+    args.push(...[].concat(value.$jsonRemove).map(removePath => val(getJsonPath(removePath))));
+
+    return `JSON_REMOVE(${args.join(', ')})`;
+}
+
+function getOnDuplicate(ctx, flags, columns) {
+    if (!flags || !flags.onDuplicate) {
+        return '';
+    }
+
+    var onDuplicate = flags.onDuplicate === true ? columns : flags.onDuplicate;
+    var alias       = flags.alias;
+    var sqlUpdate;
+
+    if (Array.isArray(onDuplicate)) {
+        if (onDuplicate.length === 0) {
+            throw new Error('Flag "onDuplicate" must contain at least one column');
+        }
+
+        sqlUpdate = onDuplicate.map(column => {
+            var value = alias ? `${iden(alias)}.${getColumn(ctx, column)}` : `VALUES(${getColumn(ctx, column)})`;
+
+            return `${getColumn(ctx, column)}=${value}`;
+        }).join(',');
+
+    } else if (typeof onDuplicate === 'object') {
+        sqlUpdate = getSetValues(ctx, onDuplicate, true);
+
+    } else {
+        throw new Error('Flag "onDuplicate" must be an array or an object');
+    }
+
+    return `${alias ? ' AS ' + iden(alias) : ''} ON DUPLICATE KEY UPDATE ${sqlUpdate}`;
+}
+
+function getColumns(rows) {
+    var columns = new Set();
+
+    for (var row of rows) {
+        for (var fieldName in row) {
+            if (row.hasOwnProperty(fieldName)) {
+                columns.add(fieldName);
+            }
+        }
+    }
+
+    if (columns.size === 0) {
+        throw new Error('Rows have not any column');
+    }
+
+    return Array.from(columns);
+}
+
+function getRowValues(ctx, row, columns) {
+    var values = columns.map(column => row.hasOwnProperty(column) ? getSetValue(ctx, row[column], false, column) : 'DEFAULT');
+
+    return `(${values.join(',')})`;
+}
+
+function splitByPacketSize(sqlPrefix, sqlSuffix, values, maxSize) {
+    var chunks     = [];
+    var chunk      = [];
+    var prefixSize = Buffer.byteLength(sqlPrefix) + Buffer.byteLength(sqlSuffix);
+    var chunkSize  = prefixSize;
+
+    for (var value of values) {
+        var valueSize = Buffer.byteLength(value);
+
+        if (chunk.length && chunkSize + valueSize + 1 > maxSize) {
+            chunks.push(chunk.join(','));
+            chunk     = [];
+            chunkSize = prefixSize;
+        }
+
+        chunkSize += chunk.length ? valueSize + 1 : valueSize;
+        chunk.push(value);
+    }
+
+    chunks.push(chunk.join(','));
+
+    return chunks;
+}
+
+function getWhere(ctx, where, isRequired, isJoinOn) {
+    if (where == null) {
+        if (isRequired) {
+            throw new Error('Parameter "where" must be not null');
+        } else {
+            return null;
+        }
+
+    } else {
+        var type = typeof where;
+
+        if (isRaw(where)) {
+            return String(where);
+
+        } else if (type === 'object') {
+            var sqlWheres = [];
+
+            if (where.$or !== undefined) {
+                return `(${where.$or.map(cond => getWhere(ctx, cond, true, isJoinOn)).join(' OR ')})`;
+            }
+
+            if (where.$and !== undefined) {
+                return `(${where.$and.map(cond => getWhere(ctx, cond, true, isJoinOn)).join(' AND ')})`;
+            }
+
+            for (var fieldName in where) {
+                if (!where.hasOwnProperty(fieldName)) {
+                    continue;
+                }
+
+                var data = where[fieldName];
+
+                if (fieldName === '$exists' || fieldName === '$notExists') {
+                    var subquery = isSubquery(data) ? data : { select: data };
+
+                    sqlWheres.push(`${fieldName === '$notExists' ? 'NOT ' : ''}EXISTS ${getSubquery(ctx, subquery)}`);
+
+                } else if (fieldName === '$not') {
+                    sqlWheres.push(`NOT (${getWhere(ctx, data, true, isJoinOn)})`);
+
+                } else if (fieldName === '$match') {
+                    sqlWheres.push(getMatch(ctx, data));
+
+                } else {
+                    sqlWheres.push(...getFieldWhere(ctx, getColumn(ctx, fieldName), data, isJoinOn));
+                }
+            }
+            return sqlWheres.join(' AND ');
+
+        } else {
+            throw new Error('Invalid arguments');
+        }
+    }
+}
+
+function getFieldWhere(ctx, escapedField, data, isJoinOn) {
+    if (data === null) {
+        if (isJoinOn) {
+            throw new Error('Bad join on option');
+        } else {
+            return [`${escapedField} IS NULL`];
+        }
+
+    } else if (data instanceof SqlFragment) {
+        return [`${escapedField} = ${data.text}`];
 
-function getTable(table) {
-    if (typeof table === 'object') {
-        for (var propName in table) {
-            if (table.hasOwnProperty(propName)) {
-                return `${iden(table[propName])} AS ${iden(propName)}`;
-            }
+    } else if (typeof data !== 'object' || data instanceof Date) {
+        return [`${escapedField} = ${isJoinOn ? getColumn(ctx, data) : val(data)}`];
+
+    } else if (isExpression(data)) {
+        return [`${escapedField} = ${getExpression(ctx, data)}`];
+    }
+
+    var sqlWheres = [];
+
+    if (data.$like !== undefined) {
+        sqlWheres.push(`${escapedField} LIKE ${formatValue(ctx, data.$like)}`);
+    }
+
+    if (data.$notLike !== undefined) {
+        sqlWheres.push(`${escapedField} NOT LIKE ${formatValue(ctx, data.$notLike)}`);
+    }
+
+    if (data.$regexp !== undefined) {
+        sqlWheres.push(`${escapedField} REGEXP ${formatValue(ctx, data.$regexp)}`);
+    }
+
+    if (data.$eq !== undefined) {
+        if (data.$eq === null) {
+            sqlWheres.push(`${escapedField} IS NULL`);
+        } else {
+            sqlWheres.push(`${escapedField} = ${formatValue(ctx, data.$eq)}`);
         }
-    } else {
-        return iden(table);
     }
-}
 
-function getFields(fields) {
-    if (fields === null) {
-        throw new Error('Parameter "fields" must be not null');
+    if (data.$ne !== undefined) {
+        if (data.$ne === null) {
+            sqlWheres.push(`${escapedField} IS NOT NULL`);
+        } else {
+            sqlWheres.push(`${escapedField} <> ${formatValue(ctx, data.$ne)}`);
+        }
+    }
 
-    } else if (fields === undefined) {
-        return '*';
+    if (data.$gt !== undefined) {
+        sqlWheres.push(`${escapedField} > ${formatValue(ctx, data.$gt)}`);
+    }
 
-    } else {
-        var type = typeof fields;
+    if (data.$gte !== undefined) {
+        sqlWheres.push(`${escapedField} >= ${formatValue(ctx, data.$gte)}`);
+    }
 
-        if (type === 'string') {
-            return fields;
+    if (data.$lt !== undefined) {
+        sqlWheres.push(`${escapedField} < ${formatValue(ctx, data.$lt)}`);
+    }
 
-        } else if (Array.isArray(fields)) {
-            return fields.map(iden).join(',');
+    if (data.$lte !== undefined) {
+        sqlWheres.push(`${escapedField} <= ${formatValue(ctx, data.$lte)}`);
+    }
 
-        } else if (type === 'object') {
-            var sqlFields = [];
-            for (var fieldName in fields) {
-                if (!fields.hasOwnProperty(fieldName)) {
-                    continue;
-                }
+    if (data.$between !== undefined) {
+        if (!Array.isArray(data.$between) || data.$between.length !== 2) {
+            throw new Error('Operator $between must be an array of two values');
+        }
 
-                var value = fields[fieldName];
+        sqlWheres.push(`${escapedField} BETWEEN ${formatValue(ctx, data.$between[0])} AND ${formatValue(ctx, data.$between[1])}`);
+    }
+
+    if (data.$in !== undefined) {
+        sqlWheres.push(getInWhere(ctx, escapedField, data.$in, false));
+    }
+
+    if (data.$nin !== undefined) {
+        sqlWheres.push(getInWhere(ctx, escapedField, data.$nin, true));
+    }
 
-                if (typeof value === 'object') {
-                    var aggreg;
-                    var aggregField;
+    if (data.$is !== undefined) {
+        sqlWheres.push(`${escapedField} IS ${formatValue(ctx, data.$is)}`);
+    }
 
-                    if (value.$count !== undefined) {
-                        aggreg      = 'COUNT';
-                        aggregField = value.$count;
+    if (data.$isNot !== undefined) {
+        sqlWheres.push(`${escapedField} IS NOT ${formatValue(ctx, data.$isNot)}`);
+    }
 
-                    } else if (value.$avg !== undefined) {
-                        aggreg      = 'AVG';
-                        aggregField = value.$avg;
+    if (data.$not !== undefined) {
+        sqlWheres.push(`NOT (${getFieldWhere(ctx, escapedField, data.$not, isJoinOn).join(' AND ')})`);
+    }
 
-                    } else if (value.$min !== undefined) {
-                        aggreg      = 'MIN';
-                        aggregField = value.$min;
+    sqlWheres.push(...getJsonWhere(escapedField, data));
+    sqlWheres.push(...getGeometryWhere(ctx, escapedField, data));
 
-                    } else if (value.$max !== undefined) {
-                        aggreg      = 'MAX';
-                        aggregField = value.$max;
+    if (sqlWheres.length === 0) {
+        throw new Error('Where object has not contains any of ' +
+            '$like,$notLike,$regexp,$eq,$ne,$gt,$gte,$lt,$lte,$between,$in,$nin,$is,$isNot,$not,$jsonContains,$jsonHasKey,' +
+            '$within,$intersects,$distanceSphere');
+    }
 
-                    } else if (value.$sum !== undefined) {
-                        aggreg      = 'SUM';
-                        aggregField = value.$sum;
+    return sqlWheres;
+}
 
-                    } else {
-                        throw new Error('Bad field description');
-                    }
+function getJsonWhere(escapedField, data) {
+    var sqlWheres = [];
 
-                    var formatted = formatValue(aggregField, true);
+    if (data.$jsonContains !== undefined) {
+        var candidate = data.$jsonContains instanceof SqlFragment ? data.$jsonContains.text : getJsonValue(data.$jsonContains);
 
-                    sqlFields.push(`${aggreg}(${formatted}) AS ${iden(fieldName)}`);
+        sqlWheres.push(`JSON_CONTAINS(${escapedField}, ${candidate})`);
+    }
 
-                } else {
-                    sqlFields.push(`${iden(fields[fieldName])} AS ${iden(fieldName)}`);
-                }
+    if (data.$jsonHasKey !== undefined) {
+        var paths = [].concat(data.$jsonHasKey).map(path => val(getJsonPath(path)));
+
+        sqlWheres.push(`JSON_CONTAINS_PATH(${escapedField}, 'all', ${paths.join(', ')})`);
+    }
+
+    return sqlWheres;
+}
+
+function getGeometryWhere(ctx, escapedField, data) {
+    var sqlWheres = [];
+
+    if (data.$within !== undefined) {
+        sqlWheres.push(`ST_Within(${escapedField}, ${getGeometryArgument(ctx, data.$within)})`);
+    }
+
+    if (data.$intersects !== undefined) {
+        sqlWheres.push(`ST_Intersects(${escapedField}, ${getGeometryArgument(ctx, data.$intersects)})`);
+    }
+
+    if (data.$distanceSphere !== undefined) {
+        var distance    = data.$distanceSphere;
+        var sqlDistance = `ST_Distance_Sphere(${escapedField}, ${getGeometryArgument(ctx, distance.point, distance.srid)})`;
+        var count       = sqlWheres.length;
+
+        for (var operator of DISTANCE_OPERATORS) {
+            if (distance[operator[0]] !== undefined) {
+                sqlWheres.push(`${sqlDistance} ${operator[1]} ${val(distance[operator[0]])}`);
             }
-            return sqlFields.join(',');
+        }
 
-        } else {
-            throw new Error('Invalid arguments');
+        if (sqlWheres.length === count) {
+            throw new Error('Operator "$distanceSphere" requires one of lt,lte,gt,gte');
         }
     }
+
+    return sqlWheres;
 }
 
-function getJoins(joins) {
-    if (Array.isArray(joins)) {
-        return joins.map(getJoin).join(' ');
-    } else {
-        return getJoin(joins);
+/**
+ * Compile full-text search `{ columns: [...], against: 'text', mode: 'natural'|'boolean'|'expansion' }`,
+ * it can be used as condition and as relevance score.
+ * @param {CompileContext} ctx
+ * @param {Object} match
+ * @returns {string}
+ */
+function getMatch(ctx, match) {
+    var columns = [].concat(match.columns || []);
+    var mode    = '';
+
+    if (columns.length === 0) {
+        throw new Error('Operator "$match" requires "columns"');
+    }
+
+    if (typeof match.against !== 'string') {
+        throw new Error('Operator "$match" requires "against" string');
+    }
+
+    if (match.mode !== undefined) {
+        mode = MATCH_MODES.get(match.mode);
+
+        if (mode === undefined) {
+            throw new Error(`Unknown full-text search mode "${match.mode}"`);
+        }
     }
+
+    return `MATCH(${columns.map(column => getColumn(ctx, column)).join(', ')}) AGAINST (${val(match.against)}${mode})`;
 }
 
-function getJoin(join) {
-    if (typeof join === 'string') {
-        return join;
+function getInWhere(ctx, escapedField, values, isNot) {
+    var operator = isNot ? 'NOT IN' : 'IN';
+
+    if (isSubquery(values)) {
+        return `${escapedField} ${operator} ${getSubquery(ctx, values)}`;
+    }
+
+    // "IN ()" is a syntax error, so empty list is always false (or always true for "NOT IN")
+    if (Array.isArray(values) && values.length === 0) {
+        return isNot ? 'TRUE' : 'FALSE';
     }
 
-    var joinParts = [];
+    return `${escapedField} ${operator} (${formatValue(ctx, values)})`;
+}
+
+function formatValue(ctx, data, isIdenPriority) {
+    return getExpression(ctx, data, isIdenPriority);
+}
 
-    if (!join.on) {
-        throw new Error('Join has not field "on"');
+function isExpression(value) {
+    if (value == null || typeof value !== 'object') {
+        return false;
     }
 
-    if (join.type === 'left') {
-        joinParts.push('LEFT');
-    } else if (join.type === 'right') {
-        joinParts.push('RIGHT');
-    } else if (join.type === 'FULL') {
-        joinParts.push('FULL');
+    return isSubquery(value) || Object.keys(value).some(key => EXPRESSION_OPERATORS.has(key));
+}
+
+/**
+ * Compile expression. Primitive values are escaped as values
+ * (or as identifiers if isIdenPriority is true), objects are operators:
+ * $field, $val, $raw, aggregates, $fn, $concat, $coalesce, $case and arithmetic.
+ * @param {CompileContext} ctx
+ * @param {*} expr
+ * @param {boolean} [isIdenPriority]
+ * @returns {string}
+ */
+function getExpression(ctx, expr, isIdenPriority) {
+    if (expr == null || typeof expr !== 'object' || expr instanceof Date || Buffer.isBuffer(expr)) {
+        if (isIdenPriority && expr != null) {
+            return expr === '*' ? '*' : getColumn(ctx, expr);
+        }
+
+        return val(expr);
     }
 
-    joinParts.push('JOIN', getTable(join.table), 'ON', getWhere(join.on, true, true));
+    if (expr instanceof SqlFragment) {
+        return expr.text;
+    }
 
-    return joinParts.join(' ');
+    if (Array.isArray(expr)) {
+        return expr.map(item => Array.isArray(item) ? `(${getExpression(ctx, item)})` : getExpression(ctx, item)).join(', ');
+    }
+
+    if (isSubquery(expr)) {
+        return getSubquery(ctx, expr);
+    }
+
+    if (expr.$raw !== undefined) {
+        return String(expr.$raw);
+    }
+
+    if (expr.$val !== undefined) {
+        return val(expr.$val);
+    }
+
+    if (expr.$field !== undefined) {
+        return getColumn(ctx, expr.$field);
+    }
+
+    if (expr.$over !== undefined) {
+        return `${getWindowFunction(ctx, expr)} OVER ${getWindow(ctx, expr.$over, true)}`;
+    }
+
+    return getOperatorExpression(ctx, expr);
 }
 
-function getSetValues(data, isUpdate) {
-    var valueStatement;
-    var fields = [];
+/**
+ * Compile window function or any other expression (aggregate, $fn) for use with OVER.
+ * @param {CompileContext} ctx
+ * @param {Object} expr
+ * @returns {string}
+ */
+function getWindowFunction(ctx, expr) {
+    for (var windowFunction of WINDOW_FUNCTIONS) {
+        var args = expr[windowFunction[0]];
 
-    for (var fieldName in data) {
-        if (!data.hasOwnProperty(fieldName)) {
-            continue;
+        if (args !== undefined) {
+            args = args === true ? [] : [].concat(args);
+
+            return `${windowFunction[1]}(${args.map((arg, index) => getExpression(ctx, arg, index === 0)).join(', ')})`;
         }
+    }
 
-        var value = data[fieldName];
+    return getOperatorExpression(ctx, expr);
+}
 
-        if (value) {
-            if (value.$raw) {
-                valueStatement = value.$raw;
-            } else if (value.$point) {
-                if (value.$point instanceof Array) {
-                    valueStatement = `POINT(${value.$point[0]},${value.$point[1]})`;
-                } else {
-                    valueStatement = `POINT(${value.$point.x},${value.$point.y})`;
-                }
-            } else if (value.$field && isUpdate) {
-                valueStatement = iden(value.$field);
-            } else {
-                valueStatement = val(value);
-            }
-        } else {
-            valueStatement = val(value);
+/**
+ * Compile window specification `{ partition: [...], order: {...} }` or name of window.
+ * @param {CompileContext} ctx
+ * @param {Object|string} window
+ * @param {boolean} [isNameAllowed]
+ * @returns {string}
+ */
+function getWindow(ctx, window, isNameAllowed) {
+    if (typeof window === 'string') {
+        if (!isNameAllowed) {
+            throw new Error('Window definition must be an object');
         }
 
-        fields.push(iden(fieldName) + '=' + valueStatement);
+        return iden(window);
     }
 
-    return fields.join(',');
+    var windowParts = [];
+
+    if (window.partition) {
+        windowParts.push('PARTITION BY', [].concat(window.partition).map(item => getExpression(ctx, item, true)).join(', '));
+    }
+
+    if (window.order) {
+        windowParts.push('ORDER BY', getOrder(ctx, window.order));
+    }
+
+    return `(${windowParts.join(' ')})`;
 }
 
-function getWhere(where, isRequired, isJoinOn) {
-    if (where == null) {
-        if (isRequired) {
-            throw new Error('Parameter "where" must be not null');
-        } else {
-            return null;
+function getOperatorExpression(ctx, expr) {
+    for (var aggregate of AGGREGATES) {
+        if (expr[aggregate[0]] !== undefined) {
+            return `${aggregate[1]}(${getAggregateArgument(ctx, expr[aggregate[0]])})`;
         }
+    }
 
-    } else {
-        var type = typeof where;
+    if (expr.$fn !== undefined) {
+        var fnName = expr.$fn[0];
 
-        if (type === 'string') {
-            return where;
+        if (typeof fnName !== 'string' || !FUNCTION_NAME.test(fnName)) {
+            throw new Error(`Invalid function name "${fnName}"`);
+        }
 
-        } else if (type === 'object') {
-            var sqlWheres = [];
+        return `${fnName.toUpperCase()}(${getExpressionList(ctx, expr.$fn.slice(1))})`;
+    }
 
-            if (where.$or !== undefined) {
-                return `(${where.$or.map(cond => getWhere(cond, true, isJoinOn)).join(' OR ')})`;
-            }
+    if (expr.$concat !== undefined) {
+        return `CONCAT(${getExpressionList(ctx, expr.$concat)})`;
+    }
 
-            if (where.$and !== undefined) {
-                return `(${where.$and.map(cond => getWhere(cond, true, isJoinOn)).join(' AND ')})`;
-            }
+    if (expr.$coalesce !== undefined) {
+        return `COALESCE(${getExpressionList(ctx, expr.$coalesce)})`;
+    }
 
-            for (var fieldName in where) {
-                if (where.hasOwnProperty(fieldName)) {
-                    var escapedField = iden(fieldName);
+    if (expr.$case !== undefined) {
+        return getCase(ctx, expr.$case, expr.$else);
+    }
 
-                    var data = where[fieldName];
+    for (var operator of ARITHMETIC_OPERATORS) {
+        if (expr[operator[0]] !== undefined) {
+            return `(${expr[operator[0]].map(item => getExpression(ctx, item)).join(` ${operator[1]} `)})`;
+        }
+    }
 
-                    if (data === null) {
-                        if (isJoinOn) {
-                            throw new Error('Bad join on option');
-                        } else {
-                            sqlWheres.push(`${escapedField} IS NULL`);
-                        }
+    if (GEOMETRY_OPERATORS.some(key => expr[key] !== undefined)) {
+        return getGeometry(expr);
+    }
 
-                    } else if (typeof data === 'object' && !(data instanceof Date)) {
-                        if (data.$field !== undefined) {
-                            sqlWheres.push(`${escapedField} = ${formatValue(data)}`);
-                        } else {
-                            var whereCount = sqlWheres.length;
-
-                            if (data.$like !== undefined) {
-                                sqlWheres.push(`${escapedField} LIKE ${formatValue(data.$like)}`);
-                            }
-
-                            if (data.$eq !== undefined) {
-                                if (data.$eq === null) {
-                                    sqlWheres.push(`${escapedField} IS NULL`);
-                                } else {
-                                    sqlWheres.push(`${escapedField} = ${formatValue(data.$eq)}`);
-                                }
-                            }
-
-                            if (data.$gt !== undefined) {
-                                sqlWheres.push(`${escapedField} > ${formatValue(data.$gt)}`);
-                            }
-
-                            if (data.$gte !== undefined) {
-                                sqlWheres.push(`${escapedField} >= ${formatValue(data.$gte)}`);
-                            }
-
-                            if (data.$lt !== undefined) {
-                                sqlWheres.push(`${escapedField} < ${formatValue(data.$lt)}`);
-                            }
-
-                            if (data.$lte !== undefined) {
-                                sqlWheres.push(`${escapedField} <= ${formatValue(data.$lte)}`);
-                            }
-
-                            if (data.$in !== undefined) {
-                                sqlWheres.push(`${escapedField} IN (${formatValue(data.$in)})`);
-                            }
-
-                            if (data.$is !== undefined) {
-                                sqlWheres.push(`${escapedField} IS ${formatValue(data.$is)}`);
-                            }
-
-                            if (data.$isNot !== undefined) {
-                                sqlWheres.push(`${escapedField} IS NOT ${formatValue(data.$isNot)}`);
-                            }
-
-                            if (whereCount === sqlWheres.length) {
-                                throw new Error('Where object has not contains any of ' +
-                                    '$like,$eq,$gt,$gte,$lt,$lte,$in,$is,$isNot');
-                            }
-                        }
+    if (expr.$match !== undefined) {
+        return getMatch(ctx, expr.$match);
+    }
 
-                    } else {
-                        sqlWheres.push(`${escapedField} = ${isJoinOn ? iden(data) : val(data)}`);
-                    }
+    for (var windowFunction of WINDOW_FUNCTIONS.keys()) {
+        if (expr[windowFunction] !== undefined) {
+            throw new Error(`Window function "${windowFunction}" requires "$over"`);
+        }
+    }
 
-                }
-            }
-            return sqlWheres.join(' AND ');
+    if (Object.keys(expr).some(key => key[0] === '$')) {
+        throw new Error('Bad expression');
+    }
 
-        } else {
-            throw new Error('Invalid arguments');
-        }
+    return val(expr);
+}
+
+function getExpressionList(ctx, items) {
+    return items.map(item => getExpression(ctx, item)).join(', ');
+}
+
+function getAggregateArgument(ctx, arg) {
+    if (arg != null && arg.$distinct !== undefined) {
+        var columns = [].concat(arg.$distinct);
+
+        return `DISTINCT ${columns.map(column => getExpression(ctx, column, true)).join(', ')}`;
     }
+
+    return getExpression(ctx, arg, true);
+}
+
+function getCase(ctx, cases, elseValue) {
+    var parts = ['CASE'];
+
+    for (var caseItem of cases) {
+        parts.push('WHEN', getWhere(ctx, caseItem.when, true), 'THEN', getExpression(ctx, caseItem.then));
+    }
+
+    if (elseValue !== undefined) {
+        parts.push('ELSE', getExpression(ctx, elseValue));
+    }
+
+    parts.push('END');
+
+    return parts.join(' ');
+}
+
+function isSubquery(value) {
+    return value != null && typeof value === 'object' && value.select != null && typeof value.select === 'object';
+}
+
+/**
+ * Compile subquery `{ select: {...params of select} }` in parentheses.
+ * @param {CompileContext} ctx
+ * @param {Object} subquery
+ * @returns {string}
+ */
+function getSubquery(ctx, subquery) {
+    checkParams(subquery.select);
+
+    // Aliases of outer query aren't visible in subquery
+    return `(${getSelect(withAliases(ctx, null), subquery.select)})`;
 }
 
-function formatValue(data, isIdenPriority) {
-    if (data != null) {
-        if (data.$raw) {
-            return data.$raw;
-        } else if (data.$val) {
-            return val(data.$val);
-        } else if (data.$field) {
-            return iden(data.$field);
+function getWindows(ctx, windows) {
+    var sqlWindows = [];
+
+    for (var name in windows) {
+        if (windows.hasOwnProperty(name)) {
+            sqlWindows.push(`${iden(name)} AS ${getWindow(ctx, windows[name])}`);
         }
     }
 
-    return isIdenPriority ? iden(data) : val(data);
+    return sqlWindows.join(', ');
 }
 
-function getGroup(group) {
-    if (typeof group === 'string') {
-        return group;
+function getGroup(ctx, group) {
+    if (isRaw(group)) {
+        return String(group);
     } else {
-        return group.map(iden).join(',');
+        return group.map(item => getExpression(ctx, item, true)).join(',');
     }
 }
 
-function getOrder(order) {
-    if (typeof order === 'string') {
-        return order;
+function getOrder(ctx, order) {
+    if (isRaw(order)) {
+        return String(order);
+
+    } else if (Array.isArray(order)) {
+        return order.map(item => {
+            if (isExpression(item)) {
+                return getExpression(ctx, item) + (item.$desc ? ' DESC' : '');
+            } else if (typeof item === 'object') {
+                return getOrder(ctx, item);
+            } else {
+                return getColumn(ctx, item);
+            }
+        }).join(', ');
 
     } else {
         var orders = [];
@@ -808,9 +2900,9 @@ function getOrder(order) {
         for (var propName in order) {
             if (order.hasOwnProperty(propName)) {
                 if (order[propName] < 0) {
-                    orders.push(iden(propName) + ' DESC');
+                    orders.push(getColumn(ctx, propName) + ' DESC');
                 } else {
-                    orders.push(iden(propName));
+                    orders.push(getColumn(ctx, propName));
                 }
             }
         }
@@ -819,6 +2911,172 @@ function getOrder(order) {
     }
 }
 
+function getUnion(ctx, parts, options) {
+    var limit  = options.limit;
+    var offset = options.offset;
+
+    if (!Array.isArray(parts) || parts.length === 0) {
+        throw new Error('Parameter "parts" must be a non-empty array');
+    }
+
+    checkLimit(limit, offset);
+
+    var queryParts = [
+        parts.map(part => {
+            checkParams(part);
+            return `(${getSelect(ctx, part)})`;
+        }).join(options.all ? ' UNION ALL ' : ' UNION ')
+    ];
+
+    if (options.order) {
+        // Result columns of union are fields of first part
+        queryParts.push('ORDER BY', getOrder(withAliases(ctx, getFieldAliases(parts[0].fields)), options.order));
+    }
+
+    if (limit) {
+        queryParts.push('LIMIT', offset ? `${offset},${limit}` : limit);
+    } else if (offset) {
+        throw new Error('Can\'t set offset without limit');
+    }
+
+    return queryParts.join(' ');
+}
+
+function getCount(ctx, params) {
+    var countParams = Object.assign({}, params);
+
+    delete countParams.order;
+    delete countParams.orderBy;
+
+    // Distinct rows and rows filtered by having (it can use aliases) depend on fields
+    if (countParams.having || countParams.distinct) {
+        if (countParams.fields === undefined && countParams.join) {
+            throw new Error('Count of distinct or filtered by "having" rows with "join" requires "fields"');
+        }
+
+        return `SELECT COUNT(*) AS \`total\` FROM (${getSelect(ctx, countParams)}) AS \`t\``;
+    }
+
+    // Grouped rows can be counted only by derived table, but without fields
+    if (countParams.group || countParams.groupBy) {
+        countParams.fields = '1';
+
+        return `SELECT COUNT(*) AS \`total\` FROM (${getSelect(ctx, countParams)}) AS \`t\``;
+    }
+
+    countParams.fields = 'COUNT(*) AS `total`';
+
+    return getSelect(ctx, countParams);
+}
+
+function combineWhere(operator, prevWhere, where) {
+    if (prevWhere == null) {
+        return where;
+    }
+
+    var wrap = cond => isRaw(cond) ? `(${cond})` : cond;
+
+    if (Object.keys(prevWhere).length === 1 && Array.isArray(prevWhere[operator])) {
+        return { [operator]: prevWhere[operator].concat(wrap(where)) };
+    }
+
+    return { [operator]: [wrap(prevWhere), wrap(where)] };
+}
+
+function getKeysetWhere(ctx, order, columns, values) {
+    var conditions = columns.map((column, i) => {
+        var parts = columns.slice(0, i).map((prevColumn, j) => `${getColumn(ctx, prevColumn)} = ${val(values[j])}`);
+
+        parts.push(`${getColumn(ctx, column)} ${order[column] < 0 ? '<' : '>'} ${val(values[i])}`);
+
+        return parts.join(' AND ');
+    });
+
+    if (conditions.length === 1) {
+        return `(${conditions[0]})`;
+    } else {
+        return `(${conditions.map(condition => `(${condition})`).join(' OR ')})`;
+    }
+}
+
+/**
+ * Order columns must be selected, because cursor is built from values of last row
+ * (raw fields and "*" are checked by result rows).
+ * @param {Array<string>} columns
+ * @param {*} fields
+ */
+function checkCursorFields(columns, fields) {
+    if (fields == null || isRaw(fields)) {
+        return;
+    }
+
+    var isSelected;
+
+    if (Array.isArray(fields)) {
+        var hasWildcard = fields.some(field => typeof field === 'string' && /(^|\.)\*$/.test(field));
+
+        isSelected = column => hasWildcard || fields.indexOf(column) !== -1;
+    } else {
+        isSelected = column => Object.keys(fields).some(alias => fields[alias] === column);
+    }
+
+    columns.forEach(column => {
+        if (!isSelected(column)) {
+            throw new Error(`Order column "${column}" must be selected for pagination`);
+        }
+    });
+}
+
+function getCursorValues(row, columns, fields) {
+    return columns.map(column => {
+        var key = column;
+
+        if (fields && typeof fields === 'object' && !Array.isArray(fields)) {
+            key = Object.keys(fields).find(alias => fields[alias] === column);
+        } else if (!row.hasOwnProperty(key)) {
+            key = column.split('.').pop();
+        }
+
+        if (key === undefined || !row.hasOwnProperty(key)) {
+            throw new Error(`Order column "${column}" must be selected for pagination`);
+        }
+
+        return row[key];
+    });
+}
+
+function encodeCursor(values) {
+    var json = JSON.stringify(values.map(value => value instanceof Date ? { $date: value.toISOString() } : value));
+
+    return Buffer.from(json).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor, count) {
+    var values;
+
+    try {
+        values = JSON.parse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    } catch (err) {
+        values = null;
+    }
+
+    if (!Array.isArray(values) || values.length !== count) {
+        throw new Error('Invalid cursor');
+    }
+
+    return values.map(value => {
+        if (value && typeof value === 'object') {
+            if (typeof value.$date !== 'string') {
+                throw new Error('Invalid cursor');
+            }
+
+            return new Date(value.$date);
+        }
+
+        return value;
+    });
+}
+
 var allowedFields = new Set();
 allowedFields.add('table');
 allowedFields.add('join');
@@ -831,6 +3089,20 @@ allowedFields.add('order');
 allowedFields.add('orderBy');
 allowedFields.add('group');
 allowedFields.add('groupBy');
+allowedFields.add('having');
+allowedFields.add('with');
+allowedFields.add('recursive');
+allowedFields.add('window');
+allowedFields.add('nest');
+
+function checkLimit(limit, offset) {
+    if (offset != null && typeof offset !== 'number') {
+        throw new Error('Parameter "offset" must be a number');
+    }
+    if (limit != null && typeof limit !== 'number') {
+        throw new Error('Parameter "limit" must be a number');
+    }
+}
 
 function checkParams(params, isSelectOne) {
     for (let fieldName in params) {
@@ -1,5 +1,6 @@
 const assert = require('chai').assert;
 const mysql = require('../lib/mysql-easy');
+const mysqlDriver = require('mysql');
 
 /* global describe, beforeEach, it */
 
@@ -21,6 +22,24 @@ function eq(...args) {
     assert.equal(...args);
 }
 
+/**
+ * Fake connection which pushes formatted queries to "queries" and returns "rows" for every query.
+ * @param {Array|function(string, Object): Array} rows - rows or function of formatted query and query options
+ * @param {Array<string>} queries
+ * @returns {Object}
+ */
+function createConnection(rows, queries) {
+    return {
+        query(sqlQuery, params, callback) {
+            const options = typeof sqlQuery === 'object' ? sqlQuery : { sql: sqlQuery };
+            const query   = mysql.format(options.sql, params);
+
+            queries.push(query);
+            callback(null, typeof rows === 'function' ? rows(query, options) : rows);
+        }
+    };
+}
+
 describe('Query check', () => {
 
     beforeEach(() => {
@@ -225,6 +244,72 @@ describe('Query check', () => {
                 this.queryMustBe('SELECT * FROM `hello` WHERE (`field1` = 1 AND `field2` = 2)');
             });
 
+            it('$ne', () => {
+                this.db.select({
+                    table: 'hello',
+                    where: { a: { $ne: 3 }, b: { $ne: null } }
+                });
+
+                this.queryMustBe('SELECT * FROM `hello` WHERE `a` <> 3 AND `b` IS NOT NULL');
+            });
+
+            it('$nin', () => {
+                this.db.select({
+                    table: 'hello',
+                    where: { a: { $nin: [1, 2] } }
+                });
+
+                this.queryMustBe('SELECT * FROM `hello` WHERE `a` NOT IN (1, 2)');
+            });
+
+            it('empty $in and $nin', () => {
+                this.db.select({
+                    table: 'hello',
+                    where: { a: { $in: [] }, b: { $nin: [] } }
+                });
+
+                this.queryMustBe('SELECT * FROM `hello` WHERE FALSE AND TRUE');
+            });
+
+            it('$between', () => {
+                this.db.select({
+                    table: 'hello',
+                    where: { age: { $between: [18, 25] } }
+                });
+
+                this.queryMustBe('SELECT * FROM `hello` WHERE `age` BETWEEN 18 AND 25');
+            });
+
+            it('$notLike and $regexp', () => {
+                this.db.select({
+                    table: 'hello',
+                    where: { name: { $notLike: 'a%', $regexp: '^[a-z]+$' } }
+                });
+
+                this.queryMustBe('SELECT * FROM `hello` WHERE `name` NOT LIKE \'a%\' AND `name` REGEXP \'^[a-z]+$\'');
+            });
+
+            it('$not', () => {
+                this.db.select({
+                    table: 'hello',
+                    where: {
+                        age:  { $not: { $gt: 5, $lt: 10 } },
+                        $not: { $or: [{ a: 1 }, { b: 2 }] }
+                    }
+                });
+
+                this.queryMustBe('SELECT * FROM `hello` WHERE NOT (`age` > 5 AND `age` < 10) AND NOT ((`a` = 1 OR `b` = 2))');
+            });
+
+            it('throw error on invalid $between', () => {
+                assert.throws(() => {
+                    this.db.select({
+                        table: 'hello',
+                        where: { age: { $between: [1] } }
+                    });
+                }, /\$between/);
+            });
+
             it('throw error if empty object', () => {
                 try {
                     this.db.select({
@@ -291,6 +376,47 @@ describe('Query check', () => {
                     'LEFT JOIN another_table ON main_table.field_name1 = another_table.field_name2');
             });
 
+            it('types', () => {
+                this.db.select({
+                    table: 'user',
+                    join: [
+                        { table: 'details', on: { 'user.id': 'details.user_id' }, type: 'INNER' },
+                        { table: 'roles', using: ['role_id'], type: 'Left Outer' },
+                        { table: 'sizes', type: 'cross' },
+                        { table: 'groups', on: { 'groups.id': 'user.group_id' }, type: 'straight' },
+                        { table: 'profiles', type: 'natural left' }
+                    ]
+                });
+
+                this.queryMustBe(
+                    'SELECT * FROM `user` ' +
+                    'INNER JOIN `details` ON `user`.`id` = `details`.`user_id` ' +
+                    'LEFT JOIN `roles` USING (`role_id`) ' +
+                    'CROSS JOIN `sizes` ' +
+                    'STRAIGHT_JOIN `groups` ON `groups`.`id` = `user`.`group_id` ' +
+                    'NATURAL LEFT JOIN `profiles`');
+            });
+
+            it('$val in on', () => {
+                this.db.select({
+                    table: 'user',
+                    join:  { table: 'details', on: { 'user.id': 'details.user_id', 'details.type': { $val: 'main' } } }
+                });
+
+                this.queryMustBe("SELECT * FROM `user` JOIN `details` ON `user`.`id` = `details`.`user_id` AND `details`.`type` = 'main'");
+            });
+
+            it('throw error on invalid join', () => {
+                assert.throws(() => this.db.select({ table: 'a', join: { table: 'b', on: { 'a.id': 'b.id' }, type: 'FULL' } }),
+                    /FULL JOIN is not supported by MySQL/);
+                assert.throws(() => this.db.select({ table: 'a', join: { table: 'b', on: { 'a.id': 'b.id' }, type: 'outer' } }),
+                    /Unknown join type "outer"/);
+                assert.throws(() => this.db.select({ table: 'a', join: { table: 'b', type: 'left' } }),
+                    /Join has not field "on" or "using"/);
+                assert.throws(() => this.db.select({ table: 'a', join: { table: 'b', using: ['id'], type: 'natural' } }),
+                    /NATURAL JOIN can't have "on" or "using"/);
+            });
+
         });
 
         describe('group', () => {
@@ -339,6 +465,24 @@ describe('Query check', () => {
                 this.queryMustBe('SELECT `some_field` AS `id`,COUNT(super_field) AS `cnt` FROM `hello` GROUP BY `some_field`');
             });
 
+            it('having', () => {
+                this.db.select({
+                    table:  'orders',
+                    fields: {
+                        userId: 'user_id',
+                        cnt:    { $count: 'id' }
+                    },
+                    where:  { status: 'paid' },
+                    group:  ['user_id'],
+                    having: { cnt: { $gt: 5 } },
+                    order:  { cnt: -1 }
+                });
+
+                this.queryMustBe(
+                    'SELECT `user_id` AS `userId`,COUNT(`id`) AS `cnt` FROM `orders` ' +
+                    "WHERE `status` = 'paid' GROUP BY `user_id` HAVING `cnt` > 5 ORDER BY `cnt` DESC");
+            });
+
         });
 
         describe('order', () => {
@@ -368,6 +512,367 @@ describe('Query check', () => {
 
     });
 
+    describe('subqueries', () => {
+
+        it('$in', () => {
+            this.db.select({
+                table: 'user',
+                where: {
+                    id: { $in: { select: { table: 'orders', fields: ['user_id'], where: { total: { $gt: 100 } } } } }
+                }
+            });
+
+            this.queryMustBe('SELECT * FROM `user` WHERE `id` IN (SELECT `user_id` FROM `orders` WHERE `total` > 100)');
+        });
+
+        it('$exists and $notExists', () => {
+            this.db.select({
+                table: 'user',
+                where: {
+                    $exists:    { table: 'orders', where: { 'orders.user_id': { $field: 'user.id' } } },
+                    $notExists: { select: { table: 'bans', where: { 'bans.user_id': { $field: 'user.id' } } } }
+                }
+            });
+
+            this.queryMustBe(
+                'SELECT * FROM `user` ' +
+                'WHERE EXISTS (SELECT * FROM `orders` WHERE `orders`.`user_id` = `user`.`id`) ' +
+                'AND NOT EXISTS (SELECT * FROM `bans` WHERE `bans`.`user_id` = `user`.`id`)');
+        });
+
+        it('comparison', () => {
+            this.db.select({
+                table: 'orders',
+                where: {
+                    total: { $gt: { select: { table: 'orders', fields: { avg: { $avg: 'total' } } } } }
+                }
+            });
+
+            this.queryMustBe('SELECT * FROM `orders` WHERE `total` > (SELECT AVG(`total`) AS `avg` FROM `orders`)');
+        });
+
+        it('scalar in fields', () => {
+            this.db.select({
+                table:  'user',
+                fields: {
+                    id:     'id',
+                    orders: { select: { table: 'orders', fields: { cnt: { $count: 'id' } }, where: { 'orders.user_id': { $field: 'user.id' } } } }
+                }
+            });
+
+            this.queryMustBe(
+                'SELECT `id` AS `id`,' +
+                '(SELECT COUNT(`id`) AS `cnt` FROM `orders` WHERE `orders`.`user_id` = `user`.`id`) AS `orders` ' +
+                'FROM `user`');
+        });
+
+        it('derived tables', () => {
+            this.db.select({
+                table: { u: { select: { table: 'user', where: { active: 1 } } } },
+                join:  {
+                    table: { o: { select: { table: 'orders', fields: ['user_id'], distinct: true } } },
+                    on:    { 'u.id': 'o.user_id' }
+                }
+            });
+
+            this.queryMustBe(
+                'SELECT * FROM (SELECT * FROM `user` WHERE `active` = 1) AS `u` ' +
+                'JOIN (SELECT DISTINCT `user_id` FROM `orders`) AS `o` ON `u`.`id` = `o`.`user_id`');
+        });
+
+        it('throw error on invalid param', () => {
+            assert.throws(() => {
+                this.db.select({
+                    table: 'user',
+                    where: { id: { $in: { select: { table: 'orders', unknown: 1 } } } }
+                });
+            }, /Invalid param name "unknown"/);
+        });
+
+    });
+
+    describe('full-text search', () => {
+
+        it('$match in where, fields and order', () => {
+            const match = { columns: ['title', 'body'], against: "it's +mysql -oracle", mode: 'boolean' };
+
+            this.db.select({
+                table:  'articles',
+                fields: { id: 'id', score: { $match: match } },
+                where:  { $match: match, active: 1 },
+                order:  [{ $match: match, $desc: true }]
+            });
+
+            this.queryMustBe(
+                "SELECT `id` AS `id`,MATCH(`title`, `body`) AGAINST ('it\\'s +mysql -oracle' IN BOOLEAN MODE) AS `score` " +
+                "FROM `articles` WHERE MATCH(`title`, `body`) AGAINST ('it\\'s +mysql -oracle' IN BOOLEAN MODE) AND `active` = 1 " +
+                "ORDER BY MATCH(`title`, `body`) AGAINST ('it\\'s +mysql -oracle' IN BOOLEAN MODE) DESC");
+        });
+
+        it('modes', () => {
+            this.db.select({ table: 'articles', where: { $match: { columns: 'title', against: 'db', mode: 'expansion' } } });
+            this.queryMustBe("SELECT * FROM `articles` WHERE MATCH(`title`) AGAINST ('db' WITH QUERY EXPANSION)");
+
+            this.db.select({ table: 'articles', where: { $match: { columns: ['title'], against: 'db' } } });
+            this.queryMustBe("SELECT * FROM `articles` WHERE MATCH(`title`) AGAINST ('db')");
+
+            assert.throws(() => this.db.select({ table: 'a', where: { $match: { columns: ['t'], against: 'db', mode: 'fuzzy' } } }),
+                /Unknown full-text search mode "fuzzy"/);
+            assert.throws(() => this.db.select({ table: 'a', where: { $match: { against: 'db' } } }), /requires "columns"/);
+        });
+
+    });
+
+    describe('geometry', () => {
+
+        it('values', () => {
+            this.db.insert('places', {
+                pos:    { $point: { x: 1.5, y: 2 }, $srid: 4326 },
+                route:  { $lineString: [[0, 0], [1, 1]] },
+                area:   { $polygon: [[0, 0], [0, 1], [1, 1], [0, 0]] },
+                border: { $geoJSON: { type: 'Point', coordinates: [1, 2] }, $srid: 4326 }
+            });
+
+            this.queryMustBe(
+                "INSERT INTO `places` SET `pos`=ST_GeomFromText('POINT(1.5 2)', 4326)," +
+                "`route`=ST_GeomFromText('LINESTRING(0 0,1 1)'),`area`=ST_GeomFromText('POLYGON((0 0,0 1,1 1,0 0))')," +
+                "`border`=ST_GeomFromGeoJSON('{\\\"type\\\":\\\"Point\\\",\\\"coordinates\\\":[1,2]}', 1, 4326)");
+        });
+
+        it('throw error on invalid coordinates', () => {
+            assert.throws(() => this.db.insert('places', { pos: { $point: ['1); DROP TABLE places; --', 2] } }), /Invalid coordinate/);
+            assert.throws(() => this.db.insert('places', { pos: { $point: [1, 2], $srid: '4326' } }), /Invalid SRID "4326"/);
+        });
+
+        it('where', () => {
+            this.db.select({
+                table: 'places',
+                where: {
+                    pos:  { $within: { $polygon: [[[0, 0], [0, 5], [5, 5], [0, 0]]] } },
+                    area: { $intersects: { $field: 'zone' } },
+                    home: { $distanceSphere: { point: [10, 20], gte: 100, lt: 1000 } }
+                }
+            });
+
+            this.queryMustBe(
+                "SELECT * FROM `places` WHERE ST_Within(`pos`, ST_GeomFromText('POLYGON((0 0,0 5,5 5,0 0))')) " +
+                'AND ST_Intersects(`area`, `zone`) ' +
+                'AND ST_Distance_Sphere(`home`, POINT(10,20)) < 1000 AND ST_Distance_Sphere(`home`, POINT(10,20)) >= 100');
+        });
+
+        it('where with SRID', () => {
+            this.db.select({
+                table: 'places',
+                where: {
+                    pos:  { $within: { $point: [1, 2], $srid: 4326 } },
+                    home: { $distanceSphere: { point: [10, 20], srid: 4326, lt: 1000 } }
+                }
+            });
+
+            this.queryMustBe(
+                "SELECT * FROM `places` WHERE ST_Within(`pos`, ST_GeomFromText('POINT(1 2)', 4326)) " +
+                "AND ST_Distance_Sphere(`home`, ST_GeomFromText('POINT(10 20)', 4326)) < 1000");
+
+            assert.throws(() => this.db.select({
+                table: 'places',
+                where: { home: { $distanceSphere: { point: { $field: 'office' }, srid: 4326, lt: 1000 } } }
+            }), /"srid" can be used only with array point/);
+        });
+
+    });
+
+    describe('JSON', () => {
+
+        it('paths in where, fields and order', () => {
+            this.db.select({
+                table:  'users',
+                fields: { id: 'id', plan: 'meta->>$.plan', limits: 'meta->limits' },
+                where:  {
+                    'meta->$.plan': 'pro',
+                    meta:           { $jsonContains: { tags: ['vip'] }, $jsonHasKey: ['limits', '$.plan'] }
+                },
+                order:  { 'meta->>$.created': -1 }
+            });
+
+            this.queryMustBe(
+                "SELECT `id` AS `id`,`meta`->>'$.plan' AS `plan`,`meta`->'$.limits' AS `limits` FROM `users` " +
+                "WHERE `meta`->'$.plan' = 'pro' AND JSON_CONTAINS(`meta`, '{\\\"tags\\\":[\\\"vip\\\"]}') " +
+                "AND JSON_CONTAINS_PATH(`meta`, 'all', '$.limits', '$.plan') " +
+                "ORDER BY `meta`->>'$.created' DESC");
+        });
+
+        it('serialize objects and arrays', () => {
+            this.db.insert('users', {
+                meta: { plan: 'pro', tags: ['vip'] },
+                ids:  [1, 2],
+                raw:  { $json: { $field: 'x' } }
+            });
+
+            this.queryMustBe(
+                "INSERT INTO `users` SET `meta`='{\\\"plan\\\":\\\"pro\\\",\\\"tags\\\":[\\\"vip\\\"]}',`ids`='[1,2]'," +
+                "`raw`='{\\\"$field\\\":\\\"x\\\"}'");
+        });
+
+        it('$jsonSet and $jsonRemove', () => {
+            this.db.update('users', {
+                meta:     { $jsonSet: { '$.plan': 'pro', 'limits': { max: 10 }, '$.visits': { $add: [1, 2] } } },
+                settings: { $jsonRemove: ['$.theme', 'lang'] }
+            }, { id: 3 });
+
+            this.queryMustBe(
+                "UPDATE `users` SET `meta`=JSON_SET(`meta`, '$.plan', 'pro', '$.limits', CAST('{\\\"max\\\":10}' AS JSON), '$.visits', (1 + 2))," +
+                "`settings`=JSON_REMOVE(`settings`, '$.theme', '$.lang') WHERE `id` = 3");
+        });
+
+    });
+
+    describe('common table expressions', () => {
+
+        it('with', () => {
+            this.db.select({
+                with: {
+                    paid:  { table: 'orders', fields: ['user_id'], where: { status: 'paid' } },
+                    admin: 'SELECT id FROM users WHERE role = 1'
+                },
+                table: 'users',
+                join:  { table: 'paid', on: { 'paid.user_id': 'users.id' } },
+                where: { 'users.id': { $nin: { select: { table: 'admin', fields: ['id'] } } } }
+            });
+
+            this.queryMustBe(
+                "WITH `paid` AS (SELECT `user_id` FROM `orders` WHERE `status` = 'paid'), " +
+                '`admin` AS (SELECT id FROM users WHERE role = 1) ' +
+                'SELECT * FROM `users` JOIN `paid` ON `paid`.`user_id` = `users`.`id` ' +
+                'WHERE `users`.`id` NOT IN (SELECT `id` FROM `admin`)');
+        });
+
+        it('recursive', () => {
+            this.db.select({
+                recursive: true,
+                with:      {
+                    tree: {
+                        columns: ['id', 'parent_id', 'depth'],
+                        all:     true,
+                        union:   [
+                            { table: 'categories', fields: ['id', 'parent_id', { $raw: '0' }], where: { id: 5 } },
+                            {
+                                table:  'categories',
+                                fields: ['categories.id', 'categories.parent_id', { $add: [{ $field: 'tree.depth' }, 1] }],
+                                join:   { table: 'tree', on: { 'categories.parent_id': 'tree.id' } }
+                            }
+                        ]
+                    }
+                },
+                table:     'tree',
+                order:     { depth: 1 }
+            });
+
+            this.queryMustBe(
+                'WITH RECURSIVE `tree` (`id`, `parent_id`, `depth`) AS (' +
+                'SELECT `id`,`parent_id`,0 FROM `categories` WHERE `id` = 5 UNION ALL ' +
+                'SELECT `categories`.`id`,`categories`.`parent_id`,(`tree`.`depth` + 1) FROM `categories` ' +
+                'JOIN `tree` ON `categories`.`parent_id` = `tree`.`id`) ' +
+                'SELECT * FROM `tree` ORDER BY `depth`');
+        });
+
+        it('throw error on invalid params', () => {
+            assert.throws(() => this.db.select({ table: 'a', with: {} }), /Parameter "with" must contain at least one table/);
+            assert.throws(() => this.db.select({ table: 'a', with: { b: { table: 'c', bad: 1 } } }), /Invalid param name "bad"/);
+        });
+
+    });
+
+    describe('expressions', () => {
+
+        it('functions in fields', () => {
+            this.db.select({
+                table:  'users',
+                fields: {
+                    year:      { $fn: ['DATE_FORMAT', { $field: 'created' }, '%Y'] },
+                    name:      { $concat: [{ $field: 'first_name' }, ' ', { $field: 'last_name' }] },
+                    nick:      { $coalesce: [{ $field: 'nick' }, { $field: 'login' }, 'anonymous'] },
+                    countries: { $count: { $distinct: 'country' } },
+                    total:     { $count: '*' }
+                }
+            });
+
+            this.queryMustBe(
+                "SELECT DATE_FORMAT(`created`, '%Y') AS `year`," +
+                "CONCAT(`first_name`, ' ', `last_name`) AS `name`," +
+                "COALESCE(`nick`, `login`, 'anonymous') AS `nick`," +
+                'COUNT(DISTINCT `country`) AS `countries`,COUNT(*) AS `total` FROM `users`');
+        });
+
+        it('$case and arithmetic', () => {
+            this.db.select({
+                table:  'orders',
+                fields: {
+                    size:  { $case: [{ when: { amount: { $gt: 100 } }, then: 'big' }], $else: 'small' },
+                    total: { $mul: [{ $field: 'price' }, { $sub: [{ $field: 'count' }, 1] }] },
+                    sum:   { $sum: { $mul: [{ $field: 'price' }, { $field: 'count' }] } }
+                }
+            });
+
+            this.queryMustBe(
+                "SELECT CASE WHEN `amount` > 100 THEN 'big' ELSE 'small' END AS `size`," +
+                '(`price` * (`count` - 1)) AS `total`,SUM((`price` * `count`)) AS `sum` FROM `orders`');
+        });
+
+        it('in order and group', () => {
+            this.db.select({
+                table:  'orders',
+                fields: { year: { $fn: ['YEAR', { $field: 'created' }] }, count: { $count: '*' } },
+                group:  [{ $fn: ['YEAR', { $field: 'created' }] }],
+                order:  [{ $count: '*', $desc: true }, 'year', { id: -1 }]
+            });
+
+            this.queryMustBe(
+                'SELECT YEAR(`created`) AS `year`,COUNT(*) AS `count` FROM `orders` ' +
+                'GROUP BY YEAR(`created`) ORDER BY COUNT(*) DESC, `year`, `id` DESC');
+        });
+
+        it('in update and where', () => {
+            this.db.update('users', {
+                visits: { $add: [{ $field: 'visits' }, 1] },
+                name:   { $fn: ['TRIM', "  it's me "] }
+            }, { updated: { $lt: { $fn: ['NOW'] } } });
+
+            this.queryMustBe(
+                "UPDATE `users` SET `visits`=(`visits` + 1),`name`=TRIM('  it\\'s me ') WHERE `updated` < NOW()");
+        });
+
+        it('window functions', () => {
+            this.db.select({
+                table:  'orders',
+                fields: {
+                    num:     { $rowNumber: true, $over: { partition: ['user_id'], order: { created: -1 } } },
+                    place:   { $rank: true, $over: { order: { total: -1 } } },
+                    prev:    { $lag: ['total', 1, 0], $over: 'w' },
+                    next:    { $lead: 'total', $over: 'w' },
+                    running: { $sum: 'total', $over: 'w' }
+                },
+                window: { w: { partition: 'user_id', order: { created: 1 } } }
+            });
+
+            this.queryMustBe(
+                'SELECT ROW_NUMBER() OVER (PARTITION BY `user_id` ORDER BY `created` DESC) AS `num`,' +
+                'RANK() OVER (ORDER BY `total` DESC) AS `place`,' +
+                'LAG(`total`, 1, 0) OVER `w` AS `prev`,LEAD(`total`) OVER `w` AS `next`,' +
+                'SUM(`total`) OVER `w` AS `running` ' +
+                'FROM `orders` WINDOW `w` AS (PARTITION BY `user_id` ORDER BY `created`)');
+
+            assert.throws(() => this.db.select({ table: 't', fields: { a: { $rank: true } } }),
+                /Window function "\$rank" requires "\$over"/);
+        });
+
+        it('throw error on invalid function name or operator', () => {
+            assert.throws(() => this.db.select({ table: 't', fields: { a: { $fn: ['NOW() --'] } } }), /Invalid function name "NOW\(\) --"/);
+            assert.throws(() => this.db.select({ table: 't', fields: { a: { $unknown: 1 } } }), /Bad field description/);
+            assert.throws(() => this.db.select({ table: 't', where: { a: { $gt: { $unknown: 1 } } } }), /Bad expression/);
+        });
+
+    });
+
     describe('complex', () => {
 
         it('select', () => {
@@ -457,23 +962,162 @@ describe('Query check', () => {
 
                 this.queryMustBe("INSERT IGNORE INTO `table1` SET `id`='helloWorld'");
             });
-        });
 
-        describe('update', () => {
+            it('with "onDuplicate" flag as array', () => {
+                this.db.insert('table1', {
+                    'id':   1,
+                    'name': 'hello'
+                }, { onDuplicate: ['name'] });
 
-            it('simple', () => {
-                this.db.update('myTableName', {
-                    'id': 'helloWorld',
-                    'account_name': 'spy007',
-                    'pos1': { $raw: 'POINT(1,2)' },
-                    'pos2': { $point: { x: 10, y: 13 } },
-                    'pos3': { $point: [4, 5] },
-                    'from_field': { $field: 'src_field' }
+                this.queryMustBe("INSERT INTO `table1` SET `id`=1,`name`='hello' ON DUPLICATE KEY UPDATE `name`=VALUES(`name`)");
+            });
+
+            it('with "onDuplicate" flag as object', () => {
+                this.db.insert('table1', {
+                    'id':      1,
+                    'name':    'hello',
+                    'counter': 1
+                }, {
+                    onDuplicate: {
+                        'name':    { $values: 'name' },
+                        'counter': { $raw: 'counter + 1' },
+                        'status':  'updated'
+                    }
                 });
 
                 this.queryMustBe(
-                    "UPDATE `myTableName` " +
-                    "SET `id`='helloWorld',`account_name`='spy007',`pos1`=POINT(1,2),`pos2`=POINT(10,13),`pos3`=POINT(4,5),`from_field`=`src_field`");
+                    "INSERT INTO `table1` SET `id`=1,`name`='hello',`counter`=1 " +
+                    "ON DUPLICATE KEY UPDATE `name`=VALUES(`name`),`counter`=counter + 1,`status`='updated'");
+            });
+
+            it('with "onDuplicate" flag and alias', () => {
+                this.db.insert('table1', {
+                    'id':   1,
+                    'name': 'hello'
+                }, { onDuplicate: true, alias: 'new' });
+
+                this.queryMustBe(
+                    "INSERT INTO `table1` SET `id`=1,`name`='hello' AS `new` " +
+                    "ON DUPLICATE KEY UPDATE `id`=`new`.`id`,`name`=`new`.`name`");
+            });
+        });
+
+        describe('insertMany', () => {
+
+            it('merge columns', () => {
+                this.db.insertMany('table1', [
+                    { id: 1, name: 'first' },
+                    { id: 2, pos: { $point: [4, 5] } },
+                    { id: 3, name: { $raw: 'UPPER(\'third\')' } }
+                ]);
+
+                this.queryMustBe(
+                    "INSERT INTO `table1` (`id`,`name`,`pos`) " +
+                    "VALUES (1,'first',DEFAULT),(2,DEFAULT,POINT(4,5)),(3,UPPER('third'),DEFAULT)");
+            });
+
+            it('with "ignore" flag', () => {
+                this.db.insertMany('table1', [{ id: 1 }, { id: 2 }], { ignore: true });
+
+                this.queryMustBe('INSERT IGNORE INTO `table1` (`id`) VALUES (1),(2)');
+            });
+
+            it('split by max-allowed-packet', () => {
+                const queries = [];
+                const db      = mysql.wrap(createConnection(() => ({ affectedRows: 2, insertId: queries.length * 10 }), queries));
+
+                db.setOption('max-allowed-packet', 'INSERT INTO `table1` (`id`) VALUES (1),(2)'.length);
+
+                return db.insertMany('table1', [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }]).then(result => {
+                    eq(queries.length, 2);
+                    eq(queries[0], 'INSERT INTO `table1` (`id`) VALUES (1),(2)');
+                    eq(queries[1], 'INSERT INTO `table1` (`id`) VALUES (3),(4)');
+                    eq(result.affectedRows, 4);
+                    eq(result.insertId, 10);
+                });
+            });
+
+            it('with "onDuplicate" flag', () => {
+                this.db.insertMany('table1', [{ id: 1, name: 'a' }, { id: 2, name: 'b' }], { onDuplicate: ['name'] });
+
+                this.queryMustBe(
+                    "INSERT INTO `table1` (`id`,`name`) VALUES (1,'a'),(2,'b') " +
+                    "ON DUPLICATE KEY UPDATE `name`=VALUES(`name`)");
+            });
+
+            it('empty rows', () => {
+                return this.db.insertMany('table1', []).then(result => {
+                    eq(this.queryCallCount, 0);
+                    eq(result.affectedRows, 0);
+                });
+            });
+
+        });
+
+        describe('upsert', () => {
+
+            it('update all columns by default', () => {
+                this.db.upsert('table1', { id: 1, name: 'hello' });
+
+                this.queryMustBe(
+                    "INSERT INTO `table1` SET `id`=1,`name`='hello' " +
+                    "ON DUPLICATE KEY UPDATE `id`=VALUES(`id`),`name`=VALUES(`name`)");
+            });
+
+            it('inserted and updated flags', () => {
+                const affected = [1, 2, 0];
+
+                const db = mysql.wrap(Object.assign(createConnection(() => ({ affectedRows: affected.shift() }), []), {
+                    config: mysqlDriver.createConnection({ flags: '-FOUND_ROWS' }).config
+                }));
+
+                const upsert = () => db.upsert('table1', { id: 1, counter: 1 }, { update: { counter: { $raw: 'counter + 1' } } });
+
+                return Promise.all([upsert(), upsert(), upsert()]).then(results => {
+                    eq(results[0].inserted, true);
+                    eq(results[0].updated, false);
+                    eq(results[1].inserted, false);
+                    eq(results[1].updated, true);
+                    eq(results[2].inserted, false);
+                    eq(results[2].updated, false);
+                });
+            });
+
+            it('inserted is unknown with FOUND_ROWS flag', () => {
+                // Driver sends 1 for both inserted and not changed rows
+                const affected = [1, 2];
+
+                const db = mysql.wrap(Object.assign(createConnection(() => ({ affectedRows: affected.shift() }), []), {
+                    config: mysqlDriver.createConnection({}).config
+                }));
+
+                const upsert = () => db.upsert('table1', { id: 1, counter: 1 });
+
+                return Promise.all([upsert(), upsert()]).then(results => {
+                    eq(results[0].inserted, null);
+                    eq(results[0].updated, false);
+                    eq(results[1].inserted, false);
+                    eq(results[1].updated, true);
+                });
+            });
+
+        });
+
+        describe('update', () => {
+
+            it('simple', () => {
+                this.db.update('myTableName', {
+                    'id': 'helloWorld',
+                    'account_name': 'spy007',
+                    'pos1': { $raw: 'POINT(1,2)' },
+                    'pos2': { $point: { x: 10, y: 13 } },
+                    'pos3': { $point: [4, 5] },
+                    'from_field': { $field: 'src_field' }
+                });
+
+                this.queryMustBe(
+                    "UPDATE `myTableName` " +
+                    "SET `id`='helloWorld',`account_name`='spy007',`pos1`=POINT(1,2),`pos2`=POINT(10,13),`pos3`=POINT(4,5),`from_field`=`src_field`");
             });
 
             it('with "ignore" flag', () => {
@@ -609,6 +1253,903 @@ describe('Query check', () => {
 
 });
 
+describe('Named placeholders', () => {
+
+    it('format', () => {
+        eq(mysql.format('SELECT * FROM ::table WHERE id = :id AND user_id = :userId OR parent_id = :id', {
+            table:  'table1',
+            id:     3,
+            userId: 'abc'
+        }), "SELECT * FROM `table1` WHERE id = 3 AND user_id = 'abc' OR parent_id = 3");
+    });
+
+    it('skip quoted strings and comments', () => {
+        eq(mysql.format("SELECT ':skip', `a:b`, \"x:y\" /* :skip */ FROM t WHERE id = :id -- :skip", { id: 1 }),
+            "SELECT ':skip', `a:b`, \"x:y\" /* :skip */ FROM t WHERE id = 1 -- :skip");
+    });
+
+    it('throw error on missing param', () => {
+        assert.throws(() => mysql.format('SELECT * FROM t WHERE id = :id AND a = :a', { id: 1 }), /Missing value for placeholder ":a"/);
+    });
+
+    it('throw error on unused param', () => {
+        assert.throws(() => mysql.format('SELECT * FROM t WHERE id = :id', { id: 1, a: 2, b: 3 }), /Unused named params: "a", "b"/);
+    });
+
+    it('throw error on mixed placeholders', () => {
+        assert.throws(() => mysql.format('SELECT * FROM t WHERE id = :id AND a = ?', { id: 1 }), /can't be mixed/);
+    });
+
+    it('object as positional value', () => {
+        eq(mysql.format('UPDATE t SET ?', { a: 1 }), 'UPDATE t SET `a` = 1');
+    });
+
+    it('query', () => {
+        let query;
+
+        const db = mysql.wrap({
+            query: (...args) => {
+                query = mysql.format(...args);
+            }
+        });
+
+        db.query('SELECT * FROM ::table WHERE id = :id', { table: 'table1', id: 3 });
+
+        eq(query, 'SELECT * FROM `table1` WHERE id = 3');
+    });
+
+});
+
+describe('SQL tag', () => {
+
+    const sql = mysql.sql;
+    const db  = mysql.wrap(mysqlConnection);
+
+    it('escape values', () => {
+        const name = "O'Reilly";
+
+        eq(String(sql`SELECT * FROM ${sql.id('users')} WHERE name = ${name} AND id IN (${[1, 2]})`),
+            "SELECT * FROM `users` WHERE name = 'O\\'Reilly' AND id IN (1, 2)");
+    });
+
+    it('compose fragments', () => {
+        const conditions = [sql`a = ${1}`, sql`b = ${'x'}`];
+
+        eq(String(sql`SELECT * FROM t WHERE ${sql.join(conditions, ' AND ')} ${sql.raw('LIMIT 1')}`),
+            "SELECT * FROM t WHERE a = 1 AND b = 'x' LIMIT 1");
+    });
+
+    it('query', () => {
+        let query;
+
+        const db = mysql.wrap({
+            query: (...args) => {
+                query = mysql.format(...args);
+            }
+        });
+
+        db.query(sql`SELECT * FROM t WHERE id = ${3}`);
+
+        eq(query, 'SELECT * FROM t WHERE id = 3');
+    });
+
+    it('select parts', () => {
+        eq(db.sql.select({
+            table:  'user',
+            fields: sql`${sql.id('id')}, ${'const'} AS c`,
+            join:   sql`JOIN ${sql.id('details')} USING (id)`,
+            where:  sql`age > ${18}`,
+            order:  sql`FIELD(status, ${['new', 'old']})`
+        }).sql,
+            "SELECT `id`, 'const' AS c FROM `user` JOIN `details` USING (id) WHERE age > 18 ORDER BY FIELD(status, 'new', 'old')");
+    });
+
+    it('$raw and values', () => {
+        const compiled = db.sql.update('user', { counter: { $raw: sql`counter + ${2}` } }, { id: { $gt: sql`${5} - 1` } });
+
+        eq(mysql.format(compiled.sql, compiled.values), 'UPDATE `user` SET `counter`=counter + 2 WHERE `id` > 5 - 1');
+    });
+
+});
+
+describe('SQL compiler', () => {
+
+    const db = mysql.wrap(mysqlConnection);
+
+    it('select', () => {
+        assert.deepEqual(db.sql.select({ table: 'table1', where: { id: 3 } }), {
+            sql:    'SELECT * FROM `table1` WHERE `id` = 3',
+            values: []
+        });
+    });
+
+    it('selectOne', () => {
+        eq(db.sql.selectOne({ table: 'table1' }).sql, 'SELECT * FROM `table1` LIMIT 1');
+    });
+
+    it('insert', () => {
+        assert.deepEqual(db.sql.insert('table1', { id: 3 }), {
+            sql:    'INSERT INTO ?? SET `id`=3',
+            values: ['table1']
+        });
+    });
+
+    it('insertMany', () => {
+        assert.deepEqual(db.sql.insertMany('table1', [{ id: 3 }, { id: 4 }]), [{
+            sql:    'INSERT INTO `table1` (`id`) VALUES (3),(4)',
+            values: []
+        }]);
+    });
+
+    it('update', () => {
+        const compiled = db.sql.update('table1', { name: 'a' }, { id: 3 });
+
+        eq(mysql.format(compiled.sql, compiled.values), "UPDATE `table1` SET `name`='a' WHERE `id` = 3");
+    });
+
+    it('delete', () => {
+        eq(db.sql.delete('table1', { id: 3 }).sql, 'DELETE FROM `table1` WHERE `id` = 3');
+    });
+
+    it('selectPage', () => {
+        const queries = db.sql.selectPage({ table: 'table1', page: 3, perPage: 10 });
+
+        eq(queries[0].sql, 'SELECT * FROM `table1` LIMIT 20,10');
+        eq(queries[1].sql, 'SELECT COUNT(*) AS `total` FROM `table1`');
+    });
+
+    it('union', () => {
+        const compiled = db.sql.union([
+            { table: 'orders', fields: ['id', 'total'], where: { user_id: 3 } },
+            { table: 'orders_archive', fields: ['id', 'total'], where: { user_id: 3 }, order: { id: -1 }, limit: 100 }
+        ], { all: true, order: { total: -1 }, limit: 10, offset: 20 });
+
+        eq(compiled.sql,
+            '(SELECT `id`,`total` FROM `orders` WHERE `user_id` = 3) UNION ALL ' +
+            '(SELECT `id`,`total` FROM `orders_archive` WHERE `user_id` = 3 ORDER BY `id` DESC LIMIT 100) ' +
+            'ORDER BY `total` DESC LIMIT 20,10');
+
+        eq(db.sql.union([{ table: 'a' }, { table: 'b' }]).sql, '(SELECT * FROM `a`) UNION (SELECT * FROM `b`)');
+
+        assert.throws(() => db.sql.union([]), /Parameter "parts" must be a non-empty array/);
+        assert.throws(() => db.sql.union([{ table: 'a', bad: 1 }]), Error);
+    });
+
+    it('query builder', () => {
+        eq(db.from('table1').where({ id: 3 }).toSQL().sql, 'SELECT * FROM `table1` WHERE `id` = 3');
+    });
+
+    describe('dry-run', () => {
+
+        it('log without execution', () => {
+            const queries = [];
+
+            const db = mysql.wrap({
+                query: bad
+            });
+
+            db.setOption('dry-run', info => queries.push(info.query));
+
+            return Promise.all([
+                db.select({ table: 'table1' }),
+                db.update('table1', { id: 3 }, { id: 4 }),
+                db.union([{ table: 'table1' }, { table: 'table2' }], { all: true })
+            ]).then(results => {
+                assert.deepEqual(queries, [
+                    'SELECT * FROM `table1`',
+                    'UPDATE `table1` SET `id`=3 WHERE `id` = 4',
+                    '(SELECT * FROM `table1`) UNION ALL (SELECT * FROM `table2`)'
+                ]);
+                assert.deepEqual(results[0], []);
+                eq(results[1].affectedRows, 0);
+            });
+        });
+
+        it('transaction', () => {
+            const queries = [];
+
+            const db = mysql.wrap({
+                getConnection: bad
+            });
+
+            db.setOption('dry-run', info => queries.push(info.query));
+
+            return db.transaction(tx => tx.insert('table1', { id: 3 })).then(() => {
+                assert.deepEqual(queries, ['INSERT INTO `table1` SET `id`=3']);
+            });
+        });
+
+        it('throw error without logger function', () => {
+            const db = mysql.wrap({ query: bad });
+
+            assert.throws(() => db.setOption('dry-run', true), /must be a logger function/);
+
+            db.setOption('dry-run', null);
+        });
+
+    });
+
+});
+
+describe('Query builder', () => {
+
+    beforeEach(() => {
+        mysqlConnection.query = (...args) => {
+            this.query = mysql.format(...args);
+        };
+
+        this.db = mysql.wrap(mysqlConnection);
+    });
+
+    it('select', () => {
+        this.db.from('user')
+            .where({ 'user.active': 1 })
+            .andWhere({ 'user.age': { $gt: 18 } })
+            .andWhere('user.deleted = 0')
+            .join({ table: 'details', on: { 'user.id': 'details.user_id' }, type: 'left' })
+            .orderBy({ 'user.id': -1 })
+            .orderBy({ 'user.name': 1 })
+            .limit(10)
+            .select(['user.id']);
+
+        eq(this.query,
+            'SELECT `user`.`id` FROM `user` ' +
+            'LEFT JOIN `details` ON `user`.`id` = `details`.`user_id` ' +
+            'WHERE (`user`.`active` = 1 AND `user`.`age` > 18 AND (user.deleted = 0)) ' +
+            'ORDER BY `user`.`id` DESC, `user`.`name` ' +
+            'LIMIT 10');
+    });
+
+    it('orderBy with raw order', () => {
+        this.db.from('t').orderBy({ a: -1 }).orderBy(mysql.sql`RAND()`).select();
+        eq(this.query, 'SELECT * FROM `t` ORDER BY RAND()');
+
+        this.db.from('t').orderBy(mysql.sql`RAND()`).orderBy({ a: -1 }).select();
+        eq(this.query, 'SELECT * FROM `t` ORDER BY `a` DESC');
+    });
+
+    it('orderBy with array order', () => {
+        this.db.from('t').orderBy(['a']).orderBy(['b']).select();
+        eq(this.query, 'SELECT * FROM `t` ORDER BY `a`, `b`');
+
+        this.db.from('t').orderBy([{ $field: 'a', $desc: true }]).orderBy({ b: 1 }).select();
+        eq(this.query, 'SELECT * FROM `t` ORDER BY `a` DESC, `b`');
+
+        this.db.from('t').orderBy({ a: -1, b: 1 }).orderBy([{ $count: '*', $desc: true }]).select();
+        eq(this.query, 'SELECT * FROM `t` ORDER BY `a` DESC, `b`, COUNT(*) DESC');
+    });
+
+    it('orWhere', () => {
+        this.db.from('user').where({ a: 1 }).orWhere({ b: 2 }).select();
+
+        eq(this.query, 'SELECT * FROM `user` WHERE (`a` = 1 OR `b` = 2)');
+    });
+
+    it('immutable', () => {
+        const base = this.db.from('user').where({ a: 1 });
+
+        base.andWhere({ b: 2 }).limit(5);
+        base.select();
+
+        eq(this.query, 'SELECT * FROM `user` WHERE `a` = 1');
+    });
+
+    it('having', () => {
+        this.db.from('orders')
+            .groupBy(['user_id'])
+            .having({ cnt: { $gte: 2 } })
+            .select({ userId: 'user_id', cnt: { $count: 'id' } });
+
+        eq(this.query, 'SELECT `user_id` AS `userId`,COUNT(`id`) AS `cnt` FROM `orders` GROUP BY `user_id` HAVING `cnt` >= 2');
+    });
+
+    it('update and delete', () => {
+        const query = this.db.from('user').where({ id: 3 });
+
+        query.update({ name: 'hello' });
+        eq(this.query, "UPDATE `user` SET `name`='hello' WHERE `id` = 3");
+
+        query.delete();
+        eq(this.query, 'DELETE FROM `user` WHERE `id` = 3');
+    });
+
+    it('throw error on update and delete with select params', () => {
+        const query = this.db.from('user').where({ id: 3 });
+
+        assert.throws(() => query.orderBy({ id: 1 }).limit(1).update({ name: 'hello' }), /"order", "limit" of query builder can't be used with update/);
+        assert.throws(() => query.join({ table: 'role', on: { 'role.id': 'user.role_id' } }).delete(), /"join" of query builder can't be used with delete/);
+    });
+
+    it('await', () => {
+        mysqlConnection.query = (sqlQuery, params, callback) => {
+            callback(null, [{ id: 1 }]);
+        };
+
+        return this.db.from('user').limit(1).then(rows => {
+            assert.deepEqual(rows, [{ id: 1 }]);
+        });
+    });
+
+});
+
+describe('Pagination', () => {
+
+    it('first page', () => {
+        const queries = [];
+        const db      = mysql.wrap(createConnection([{ id: 3 }, { id: 2 }, { id: 1 }], queries));
+
+        return db.paginate({ table: 'table1', where: { a: 1 }, order: { id: -1 }, limit: 2 }).then(page => {
+            eq(queries[0], 'SELECT * FROM `table1` WHERE `a` = 1 ORDER BY `id` DESC LIMIT 3');
+            assert.deepEqual(page.items, [{ id: 3 }, { id: 2 }]);
+            eq(page.hasMore, true);
+            assert.isString(page.nextCursor);
+        });
+    });
+
+    it('next page by cursor', () => {
+        const queries = [];
+        const created = new Date('2020-01-02T03:04:05Z');
+        const db      = mysql.wrap(createConnection([{ created: created, userId: 7 }, { created: created, userId: 8 }], queries));
+
+        const params = {
+            table:  'table1',
+            fields: { created: 'created_at', userId: 'user.id' },
+            where:  'a = 1 OR b = 2',
+            order:  { 'created_at': -1, 'user.id': 1 },
+            limit:  1
+        };
+
+        return db.paginate(params).then(page => {
+            return db.paginate(Object.assign({ after: page.nextCursor }, params));
+        }).then(page => {
+            eq(queries[1],
+                'SELECT `created_at` AS `created`,`user`.`id` AS `userId` FROM `table1` ' +
+                'WHERE (a = 1 OR b = 2) AND ((`created_at` < ' + mysql.escape(created) + ') ' +
+                'OR (`created_at` = ' + mysql.escape(created) + ' AND `user`.`id` > 7)) ' +
+                'ORDER BY `created_at` DESC, `user`.`id` LIMIT 2');
+            eq(page.hasMore, true);
+        });
+    });
+
+    it('last page', () => {
+        const db = mysql.wrap(createConnection([{ id: 1 }], []));
+
+        return db.paginate({ table: 'table1', order: { id: 1 }, limit: 2 }).then(page => {
+            eq(page.hasMore, false);
+            eq(page.nextCursor, null);
+        });
+    });
+
+    it('throw error on invalid cursor', () => {
+        const db = mysql.wrap(createConnection([], []));
+
+        assert.throws(() => db.paginate({ table: 'table1', order: { id: 1 }, limit: 2, after: 'bad' }), /Invalid cursor/);
+    });
+
+    it('throw error on invalid order and limit', () => {
+        const db = mysql.wrap(createConnection([], []));
+
+        assert.throws(() => db.paginate({ table: 'table1', order: ['id'], limit: 2 }), /"order" must be an object/);
+        assert.throws(() => db.paginate({ table: 'table1', order: mysql.sql`id`, limit: 2 }), /"order" must be an object/);
+        assert.throws(() => db.paginate({ table: 'table1', order: { id: 1 }, limit: 0 }), /"limit" must be a positive integer/);
+        assert.throws(() => db.paginate({ table: 'table1', order: { id: 1 }, limit: 1.5 }), /"limit" must be a positive integer/);
+    });
+
+    it('throw error before query if order column is not selected', () => {
+        const queries = [];
+        const db      = mysql.wrap(createConnection([], queries));
+
+        assert.throws(() => db.paginate({ table: 'table1', fields: ['name'], order: { id: 1 }, limit: 2 }), /"id" must be selected/);
+        assert.throws(() => db.paginate({ table: 'table1', fields: { name: 'name' }, order: { id: 1 }, limit: 2 }), /"id" must be selected/);
+        eq(queries.length, 0);
+
+        return db.paginate({ table: 'table1', fields: ['table1.*'], order: { id: 1 }, limit: 2 });
+    });
+
+});
+
+describe('Page', () => {
+
+    function pageRows(rows, total) {
+        return query => /^SELECT COUNT\(\*\) AS `total`/.test(query) ? [{ total: total }] : rows;
+    }
+
+    it('select page with count', () => {
+        const queries = [];
+        const db      = mysql.wrap(createConnection(pageRows([{ id: 3 }, { id: 4 }], 5), queries));
+
+        return db.selectPage({
+            table:   'user',
+            join:    { table: 'details', on: { 'user.id': 'details.user_id' }, type: 'left' },
+            where:   { 'user.active': 1 },
+            order:   { 'user.id': 1 },
+            page:    2,
+            perPage: 2
+        }).then(result => {
+            assert.deepEqual(queries, [
+                'SELECT * FROM `user` LEFT JOIN `details` ON `user`.`id` = `details`.`user_id` ' +
+                'WHERE `user`.`active` = 1 ORDER BY `user`.`id` LIMIT 2,2',
+                'SELECT COUNT(*) AS `total` FROM `user` LEFT JOIN `details` ON `user`.`id` = `details`.`user_id` ' +
+                'WHERE `user`.`active` = 1'
+            ]);
+            assert.deepEqual(result, { items: [{ id: 3 }, { id: 4 }], total: 5, page: 2, pages: 3 });
+        });
+    });
+
+    it('count with group', () => {
+        const queries = [];
+        const db      = mysql.wrap(createConnection(pageRows([], 0), queries));
+
+        return db.selectPage({
+            table:   'orders',
+            fields:  { userId: 'user_id', cnt: { $count: 'id' } },
+            group:   ['user_id'],
+            perPage: 10
+        }).then(result => {
+            eq(queries[1],
+                'SELECT COUNT(*) AS `total` FROM (SELECT 1 FROM `orders` GROUP BY `user_id`) AS `t`');
+            eq(result.page, 1);
+            eq(result.pages, 0);
+        });
+    });
+
+    it('count with distinct', () => {
+        const queries = [];
+        const db      = mysql.wrap(createConnection(pageRows([], 0), queries));
+
+        return db.selectPage({ table: 'orders', fields: ['user_id'], distinct: true, perPage: 10 }).then(() => {
+            eq(queries[1], 'SELECT COUNT(*) AS `total` FROM (SELECT DISTINCT `user_id` FROM `orders`) AS `t`');
+        });
+    });
+
+    it('count with distinct and join', () => {
+        const queries = [];
+        const db      = mysql.wrap(createConnection(pageRows([], 0), queries));
+        const params  = {
+            table:    'user',
+            join:     { table: 'orders', on: { 'user.id': 'orders.user_id' } },
+            distinct: true,
+            perPage:  10
+        };
+
+        assert.throws(() => db.selectPage(params), /requires "fields"/);
+
+        return db.selectPage(Object.assign({ fields: ['user.id'] }, params)).then(() => {
+            eq(queries[1],
+                'SELECT COUNT(*) AS `total` FROM (' +
+                'SELECT DISTINCT `user`.`id` FROM `user` JOIN `orders` ON `user`.`id` = `orders`.`user_id`' +
+                ') AS `t`');
+        });
+    });
+
+});
+
+describe('Nested rows', () => {
+
+    function nestedRows(rows) {
+        return (query, options) => {
+            eq(options.nestTables, true);
+            return rows;
+        };
+    }
+
+    const rows = [
+        { user: { id: 1, name: 'a' }, details: { city: 'x' }, orders: { id: 10 }, '': { total: 2 } },
+        { user: { id: 1, name: 'a' }, details: { city: 'x' }, orders: { id: 11 }, '': { total: 2 } },
+        { user: { id: 1, name: 'a' }, details: { city: 'x' }, orders: { id: 11 }, '': { total: 2 } },
+        { user: { id: 2, name: 'b' }, details: { city: null }, orders: { id: null }, '': { total: 0 } }
+    ];
+
+    it('nest tables', () => {
+        const queries = [];
+        const db      = mysql.wrap(createConnection(nestedRows(rows.slice(0, 1)), queries));
+
+        return db.from('user')
+            .join({ table: 'details', on: { 'user.id': 'details.user_id' } })
+            .nest(true)
+            .select()
+            .then(results => {
+                eq(queries[0], 'SELECT * FROM `user` JOIN `details` ON `user`.`id` = `details`.`user_id`');
+                assert.deepEqual(results, rows.slice(0, 1));
+            });
+    });
+
+    it('collapse one-to-many', () => {
+        const db = mysql.wrap(createConnection(nestedRows(rows), []));
+
+        return db.select({
+            table: 'user',
+            join:  [
+                { table: 'details', on: { 'user.id': 'details.user_id' }, type: 'left' },
+                { table: 'orders', on: { 'user.id': 'orders.user_id' }, type: 'left' }
+            ],
+            nest:  { root: 'user', key: 'id', many: { orders: 'id' } }
+        }).then(results => {
+            assert.deepEqual(results, [
+                { id: 1, name: 'a', details: { city: 'x' }, orders: [{ id: 10 }, { id: 11 }], total: 2 },
+                { id: 2, name: 'b', details: null, orders: [], total: 0 }
+            ]);
+        });
+    });
+
+    it('throw error on invalid usage', () => {
+        const db = mysql.wrap(createConnection([], []));
+
+        assert.throws(() => db.sql.select({ table: 'user', nest: { root: 'user' } }), /must be true or object with "root" and "key"/);
+        assert.throws(() => db.sql.selectOne({ table: 'user', nest: { root: 'user', key: 'id', many: { orders: 'id' } } }),
+            /can't be used with selectOne/);
+        assert.throws(() => db.selectStream({ table: 'user', nest: true }), /can be used only in "select"/);
+    });
+
+});
+
+describe('Streaming', () => {
+
+    function createStreamingConnection(rows, log) {
+        return {
+            query(sqlQuery, params) {
+                const query = mysqlDriver.createQuery(sqlQuery, params);
+
+                let paused = false;
+                let index  = 0;
+
+                const flush = () => {
+                    while (!paused && index < rows.length) {
+                        query.emit('result', rows[index], index++);
+                    }
+
+                    if (!paused && index === rows.length) {
+                        index++;
+                        log.push('end');
+                        query.emit('end');
+                    }
+                };
+
+                query._connection = {
+                    pause: () => {
+                        log.push('pause');
+                        paused = true;
+                    },
+                    resume: () => {
+                        if (paused) {
+                            log.push('resume');
+                            paused = false;
+                            setTimeout(flush, 0);
+                        }
+                    }
+                };
+
+                log.push(mysql.format(sqlQuery, params));
+                setTimeout(flush, 0);
+
+                return query;
+            }
+        };
+    }
+
+    it('selectStream', done => {
+        const log  = [];
+        const rows = [];
+        const db   = mysql.wrap(createStreamingConnection([{ id: 1 }, { id: 2 }], log));
+
+        db.selectStream({ table: 'table1', where: { id: { $lt: 3 } } })
+            .on('data', row => rows.push(row))
+            .on('error', done)
+            .on('end', () => {
+                eq(log[0], 'SELECT * FROM `table1` WHERE `id` < 3');
+                assert.deepEqual(rows, [{ id: 1 }, { id: 2 }]);
+                done();
+            });
+    });
+
+    it('unionStream', done => {
+        const log  = [];
+        const rows = [];
+        const db   = mysql.wrap(createStreamingConnection([{ id: 1 }, { id: 2 }], log));
+
+        db.unionStream([{ table: 'table1' }, { table: 'table2' }], { order: { id: 1 } })
+            .on('data', row => rows.push(row))
+            .on('error', done)
+            .on('end', () => {
+                eq(log[0], '(SELECT * FROM `table1`) UNION (SELECT * FROM `table2`) ORDER BY `id`');
+                assert.deepEqual(rows, [{ id: 1 }, { id: 2 }]);
+                done();
+            });
+    });
+
+    it('async iterator with backpressure', () => {
+        const log  = [];
+        const rows = [];
+        const db   = mysql.wrap(createStreamingConnection([{ id: 1 }, { id: 2 }, { id: 3 }], log));
+
+        db.setOption('make-plain-objects', true);
+
+        return (async () => {
+            for await (const row of db.queryStream('SELECT * FROM `table1`', [], { highWaterMark: 1 })) {
+                rows.push(row);
+            }
+
+            assert.deepEqual(rows, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+            assert.include(log, 'pause');
+        })();
+    });
+
+    it('resume connection on break', () => {
+        const log = [];
+        const db  = mysql.wrap(createStreamingConnection([{ id: 1 }, { id: 2 }, { id: 3 }], log));
+
+        return (async () => {
+            for await (const row of db.queryStream('SELECT * FROM `table1`', [], { highWaterMark: 1 })) {
+                eq(row.id, 1);
+                break;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            eq(log[log.length - 1], 'end');
+        })();
+    });
+
+});
+
+describe('Transactions', () => {
+
+    class Pool {
+        constructor(log, errors) {
+            this.log    = log;
+            this.errors = errors || {};
+        }
+
+        getConnection(callback) {
+            const log    = this.log;
+            const errors = this.errors;
+
+            const reply = (name, callback) => {
+                log.push(name);
+                callback(errors[name] ? errors[name].shift() || null : null);
+            };
+
+            callback(null, {
+                query(sqlQuery, params, callback) {
+                    reply(typeof params === 'function' ? sqlQuery : mysql.format(sqlQuery, params), typeof params === 'function' ? params : callback);
+                },
+                beginTransaction: callback => reply('begin', callback),
+                commit:           callback => reply('commit', callback),
+                rollback:         callback => reply('rollback', callback),
+                release:          () => log.push('release'),
+                destroy:          () => log.push('destroy')
+            });
+        }
+    }
+
+    describe('managed', () => {
+
+        it('commit on success', () => {
+            const log = [];
+            const db  = mysql.wrap(new Pool(log));
+
+            return db.transaction(tx => tx.query('SELECT 1').then(() => 'result'), { isolationLevel: 'serializable' }).then(result => {
+                eq(result, 'result');
+                assert.deepEqual(log, [
+                    'SET TRANSACTION ISOLATION LEVEL SERIALIZABLE', 'begin', 'SELECT 1', 'commit', 'release'
+                ]);
+            });
+        });
+
+        it('rollback on error', () => {
+            const log = [];
+            const db  = mysql.wrap(new Pool(log));
+
+            return db.transaction(() => {
+                throw new Error('Failed');
+            }).then(bad, err => {
+                eq(err.message, 'Failed');
+                assert.deepEqual(log, ['begin', 'rollback', 'release']);
+            });
+        });
+
+        it('retry on deadlock', () => {
+            const log      = [];
+            const deadlock = Object.assign(new Error('Deadlock'), { code: 'ER_LOCK_DEADLOCK' });
+            const db       = mysql.wrap(new Pool(log, { 'SELECT 1': [deadlock] }));
+
+            return db.transaction(tx => tx.query('SELECT 1'), { retryDelay: 0 }).then(() => {
+                assert.deepEqual(log, [
+                    'begin', 'SELECT 1', 'rollback', 'release',
+                    'begin', 'SELECT 1', 'commit', 'release'
+                ]);
+            });
+        });
+
+        it('fail after retries', () => {
+            const log      = [];
+            const deadlock = () => Object.assign(new Error('Deadlock'), { code: 'ER_LOCK_DEADLOCK' });
+            const db       = mysql.wrap(new Pool(log, { 'SELECT 1': [deadlock(), deadlock()] }));
+
+            return db.transaction(tx => tx.query('SELECT 1'), { retries: 1, retryDelay: 0 }).then(bad, err => {
+                eq(err.code, 'ER_LOCK_DEADLOCK');
+                eq(log.filter(name => name === 'begin').length, 2);
+            });
+        });
+
+        it('retry on deadlock in nested transaction', () => {
+            const log         = [];
+            const deadlock    = Object.assign(new Error('Deadlock'), { code: 'ER_LOCK_DEADLOCK' });
+            const noSavepoint = Object.assign(new Error('No savepoint'), { code: 'ER_SP_DOES_NOT_EXIST' });
+            const db          = mysql.wrap(new Pool(log, {
+                'SELECT 1':                   [deadlock],
+                'ROLLBACK TO SAVEPOINT sp_1': [noSavepoint]
+            }));
+
+            return db.transaction(tx => tx.transaction(inner => inner.query('SELECT 1')), { retryDelay: 0 }).then(() => {
+                assert.deepEqual(log, [
+                    'begin', 'SAVEPOINT sp_1', 'SELECT 1', 'ROLLBACK TO SAVEPOINT sp_1', 'rollback', 'release',
+                    'begin', 'SAVEPOINT sp_1', 'SELECT 1', 'RELEASE SAVEPOINT sp_1', 'commit', 'release'
+                ]);
+            });
+        });
+
+        it('rollback on empty error', () => {
+            const log = [];
+            const db  = mysql.wrap(new Pool(log));
+
+            return db.transaction(() => Promise.reject(null)).then(bad, err => {
+                eq(err, null);
+                assert.deepEqual(log, ['begin', 'rollback', 'release']);
+            });
+        });
+
+    });
+
+    describe('single connection', () => {
+
+        function createSingleConnection(log) {
+            const conn = new Pool(log);
+            let connection;
+
+            conn.getConnection((err, c) => {
+                connection = c;
+            });
+
+            delete connection.release;
+            delete connection.destroy;
+
+            return connection;
+        }
+
+        it('queue transactions', () => {
+            const log = [];
+            const db  = mysql.wrap(createSingleConnection(log));
+
+            return Promise.all([
+                db.transaction(tx => tx.query('SELECT 1')),
+                db.transaction(tx => tx.query('SELECT 2'))
+            ]).then(() => {
+                assert.deepEqual(log, [
+                    'begin', 'SELECT 1', 'commit',
+                    'begin', 'SELECT 2', 'commit'
+                ]);
+            });
+        });
+
+        it('reject queries out of transaction', () => {
+            const log = [];
+            const db  = mysql.wrap(createSingleConnection(log));
+
+            return db.createTransaction().then(tx => {
+                return db.query('SELECT 1').then(bad, err => {
+                    assert.match(err.message, /busy/);
+
+                    return tx.rollback();
+                });
+            }).then(() => db.query('SELECT 2')).then(() => {
+                assert.deepEqual(log, ['begin', 'rollback', 'SELECT 2']);
+            });
+        });
+
+    });
+
+    it('pool subclass', () => {
+        class CustomPool extends Pool {}
+
+        const log = [];
+        const db  = mysql.wrap(new CustomPool(log));
+
+        return db.transaction(tx => tx.query('SELECT 1')).then(() => {
+            assert.deepEqual(log, ['begin', 'SELECT 1', 'commit', 'release']);
+        });
+    });
+
+    describe('nested', () => {
+
+        it('release savepoint on commit', () => {
+            const log = [];
+            const db  = mysql.wrap(new Pool(log));
+
+            return db.transaction(tx => {
+                return tx.transaction(nested => nested.query('SELECT 1')).then(() => {
+                    return tx.transaction(nested => nested.query('SELECT 2'));
+                });
+            }).then(() => {
+                assert.deepEqual(log, [
+                    'begin',
+                    'SAVEPOINT sp_1', 'SELECT 1', 'RELEASE SAVEPOINT sp_1',
+                    'SAVEPOINT sp_2', 'SELECT 2', 'RELEASE SAVEPOINT sp_2',
+                    'commit', 'release'
+                ]);
+            });
+        });
+
+        it('rollback to savepoint on error', () => {
+            const log = [];
+            const db  = mysql.wrap(new Pool(log));
+
+            return db.createTransaction().then(tx => {
+                return tx.createTransaction().then(nested => {
+                    return nested.rollback().then(() => {
+                        eq(nested.status, 'rejected');
+                        eq(tx.status, 'pending');
+
+                        return tx.commit();
+                    });
+                });
+            }).then(() => {
+                assert.deepEqual(log, [
+                    'begin', 'SAVEPOINT sp_1', 'ROLLBACK TO SAVEPOINT sp_1', 'commit', 'release'
+                ]);
+            });
+        });
+
+        it('reject deeply nested transaction after root is finished', () => {
+            const log = [];
+            const db  = mysql.wrap(new Pool(log));
+
+            return db.createTransaction().then(tx => {
+                return tx.createTransaction().then(nested => nested.createTransaction()).then(deeper => {
+                    return tx.commit().then(() => deeper.query('SELECT 1')).then(bad, err => {
+                        assert.match(err.message, /already finished/);
+
+                        return deeper.createTransaction();
+                    }).then(bad, err => {
+                        assert.match(err.message, /already finished/);
+
+                        return deeper.commit();
+                    }).then(bad, err => {
+                        assert.match(err.message, /already finished/);
+                        eq(deeper.status, 'rejected');
+                    });
+                });
+            }).then(() => {
+                assert.deepEqual(log, ['begin', 'SAVEPOINT sp_1', 'SAVEPOINT sp_2', 'commit', 'release']);
+            });
+        });
+
+        it('throw error on isolation level', () => {
+            const db = mysql.wrap(new Pool([]));
+
+            return db.createTransaction().then(tx => {
+                assert.throws(() => tx.createTransaction('serializable'), /Isolation level/);
+
+                return tx.rollback();
+            });
+        });
+
+        it('reject on isolation level in transaction method', () => {
+            const db = mysql.wrap(new Pool([]));
+
+            return db.transaction(() => bad(), { isolationLevel: 'bad level' }).then(bad, err => {
+                assert.match(err.message, /Isolation level/);
+
+                return db.transaction(tx => tx.transaction(bad, { isolationLevel: 'serializable' }));
+            }).then(bad, err => {
+                assert.match(err.message, /Isolation level/);
+            });
+        });
+
+    });
+
+});
+
 describe('Helpers', () => {
 
     describe('make-plain-objects', () => {
@@ -644,4 +2185,120 @@ describe('Helpers', () => {
 
     });
 
+    describe('naming', () => {
+
+        it('convert identifiers and results', () => {
+            const queries = [];
+            const db      = mysql.wrap(createConnection([{ user_id: 1, first_name: 'a', userID: 5 }], queries));
+
+            db.setOption('naming', 'camel');
+            db.setOption('naming-exceptions', ['userID']);
+
+            return db.select({
+                table:  'users',
+                fields: ['users.userId', 'firstName', 'userID', 'meta->>lastLogin'],
+                where:  { isActive: 1, 'users.createdAt': { $gt: { $field: 'updatedAt' } } },
+                group:  ['firstName'],
+                order:  { createdAt: -1 }
+            }).then(results => {
+                eq(queries[0],
+                    'SELECT `users`.`user_id`,`first_name`,`userID`,`meta`->>\'$.lastLogin\' FROM `users` ' +
+                    'WHERE `is_active` = 1 AND `users`.`created_at` > `updated_at` GROUP BY `first_name` ORDER BY `created_at` DESC');
+                assert.deepEqual(results, [{ userId: 1, firstName: 'a', userID: 5 }]);
+
+                db.update('users', { firstName: 'b', visitCount: { $add: [{ $field: 'visitCount' }, 1] } }, { userId: 1 });
+                eq(queries[1], "UPDATE `users` SET `first_name`='b',`visit_count`=(`visit_count` + 1) WHERE `user_id` = 1");
+
+                db.insertMany('users', [{ firstName: 'c' }], { onDuplicate: ['firstName'] });
+                eq(queries[2], "INSERT INTO `users` (`first_name`) VALUES ('c') ON DUPLICATE KEY UPDATE `first_name`=VALUES(`first_name`)");
+            });
+        });
+
+        it('keep field aliases in having and order', () => {
+            const queries = [];
+            const db      = mysql.wrap(createConnection([], queries));
+
+            db.setOption('naming', 'camel');
+
+            db.select({
+                table:  'orders',
+                fields: { userId: 'userId', orderCount: { $count: 'id' } },
+                where:  { userId: { $in: { select: { table: 'users', fields: ['userId'], where: { orderCount: 1 } } } } },
+                group:  ['userId'],
+                having: { orderCount: { $gt: 5 } },
+                order:  { orderCount: -1, createdAt: 1 }
+            });
+
+            eq(queries[0],
+                'SELECT `user_id` AS `userId`,COUNT(`id`) AS `orderCount` FROM `orders` ' +
+                'WHERE `user_id` IN (SELECT `user_id` FROM `users` WHERE `order_count` = 1) ' +
+                'GROUP BY `user_id` HAVING `orderCount` > 5 ORDER BY `orderCount` DESC, `created_at`');
+        });
+
+        it('nested rows', () => {
+            const db = mysql.wrap(createConnection([{ user: { user_id: 1 }, '': { order_count: 2 } }], []));
+
+            db.setOption('naming', 'camel');
+
+            return db.select({ table: 'user', nest: { root: 'user', key: 'userId' } }).then(results => {
+                assert.deepEqual(results, [{ userId: 1, orderCount: 2 }]);
+            });
+        });
+
+        it('throw error on invalid naming', () => {
+            assert.throws(() => this.db.setOption('naming', 'kebab'), /Option "naming" must be "camel" or null/);
+        });
+
+    });
+
+    describe('decode-geometry', () => {
+
+        function wkbPoint(x, y) {
+            const buffer = Buffer.alloc(21);
+
+            buffer.writeUInt8(1, 0);
+            buffer.writeUInt32LE(1, 1);
+            buffer.writeDoubleLE(x, 5);
+            buffer.writeDoubleLE(y, 13);
+
+            return buffer;
+        }
+
+        function wkbMultiPoint(points) {
+            const header = Buffer.alloc(9);
+
+            header.writeUInt8(1, 0);
+            header.writeUInt32LE(4, 1);
+            header.writeUInt32LE(points.length, 5);
+
+            return Buffer.concat([header].concat(points.map(point => wkbPoint(point[0], point[1]))));
+        }
+
+        it('decode to GeoJSON', () => {
+            const srid   = Buffer.alloc(4);
+            const fields = [
+                { type: 'GEOMETRY', buffer: () => Buffer.concat([srid, wkbPoint(1.5, 2)]) },
+                { type: 'GEOMETRY', buffer: () => Buffer.concat([srid, wkbMultiPoint([[1, 2], [3, 4]])]) },
+                { type: 'GEOMETRY', buffer: () => null },
+                { type: 'LONG' }
+            ];
+
+            const queries = [];
+            const db      = mysql.wrap(createConnection((query, options) => fields.map(field => options.typeCast(field, () => 'next')), queries));
+
+            db.setOption('decode-geometry', true);
+
+            return db.select({ table: 'places' }).then(results => {
+                assert.deepEqual(queries, ['SELECT * FROM `places`']);
+                assert.deepEqual(results, [
+                    { type: 'Point', coordinates: [1.5, 2] },
+                    { type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] },
+                    null,
+                    'next'
+                ]);
+            });
+        });
+
+    });
+
 });